@@ -10,6 +10,7 @@ const {
   DeleteCommand,
   ScanCommand,
 } = require("@aws-sdk/lib-dynamodb");
+const { withQuestionIds } = require("./questionIds");
 
 const client = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(client);
@@ -18,6 +19,28 @@ const docClient = DynamoDBDocumentClient.from(client);
 // You can override this table name via Lambda environment variables (e.g., TABLE_NAME=GroupsDev)
 const TABLE_NAME = process.env.TABLE_NAME || "Groups";
 
+// Reserved groupId rows that hold table-wide state rather than a question group
+const COUNTER_KEY = "COUNTER";       // Next numeric groupId
+const ASSIGNMENT_KEY = "ASSIGNMENT"; // Condition assignment settings read by fakeAI
+const ASSIGNMENT_MODES = ["round-robin", "weighted", "block"];
+
+// How SimulatedAIPage reveals a question's final answer — keep in sync with fakeAI
+//   - "instant":    all at once
+//   - "typewriter": character by character at charsPerSecond
+//   - "chunks":     wordsPerChunk words every chunkIntervalMs
+const REVEAL_MODES = ["instant", "typewriter", "chunks"];
+const REVEAL_NUMBER_FIELDS = ["charsPerSecond", "wordsPerChunk", "chunkIntervalMs"];
+
+// Scripted conversations: a question may have follow-up `turns` ({ prompt, preAnswer, answer, delay,
+// colorScheme, fontFace, revealMode, ... }); an empty prompt means the AI continues on its own.
+// ratingScope says whether participants rate the whole "conversation" or each "turn" — keep in sync with fakeAI
+const RATING_SCOPES = ["conversation", "turn"];
+const MAX_TURNS = 10;
+
+// Researcher-only answer metadata on questions and turns: `correctness` (one of these, or empty) and
+// comma-separated `tags` — fakeAI keeps both out of participant responses. Keep in sync with fakeAI
+const CORRECTNESS_VALUES = ["correct", "subtly-wrong", "blatantly-wrong"];
+
 exports.handler = async (event) => {
   const httpMethod = event.httpMethod || event.requestContext?.http?.method || "";
   const { groupId } = event.pathParameters || {}; // passed in REST route path
@@ -29,6 +52,10 @@ exports.handler = async (event) => {
       // If switching to PATCH-style updates instead of overwrite, update saveGroupConfig()
       case "POST":
       case "PUT": {
+        if (groupId === ASSIGNMENT_KEY) {
+          response = await saveAssignmentSettings(event.body);
+          break;
+        }
         const newGroupId = !groupId || groupId === "undefined"
           ? String(await getNextGroupId())
           : groupId;
@@ -39,6 +66,10 @@ exports.handler = async (event) => {
       // === Retrieve Group or All Groups ===
       // If you add filtering or pagination, adjust getAllGroupConfigs()
       case "GET": {
+        if (groupId === ASSIGNMENT_KEY) {
+          response = await getAssignmentSettings();
+          break;
+        }
         response = groupId
           ? await getGroupConfig(groupId)
           : await getAllGroupConfigs();
@@ -50,8 +81,14 @@ exports.handler = async (event) => {
       case "DELETE": {
         if (!event.body) throw new Error("Missing body for DELETE");
         const body = JSON.parse(event.body);
-        if (!body.questionText) throw new Error("Missing questionText for DELETE");
-        response = await deleteQuestionFromGroup(groupId, body.questionText);
+        if (!body.questionId) {
+          response = {
+            statusCode: 400,
+            body: JSON.stringify({ message: "Missing questionId for DELETE" }),
+          };
+          break;
+        }
+        response = await deleteQuestionFromGroup(groupId, body.questionId);
         break;
       }
 
@@ -94,7 +131,7 @@ function corsHeaders() {
 async function getNextGroupId() {
   const result = await docClient.send(new UpdateCommand({
     TableName: TABLE_NAME,
-    Key: { groupId: "COUNTER" },
+    Key: { groupId: COUNTER_KEY },
     UpdateExpression: "SET currentId = if_not_exists(currentId, :start) + :inc",
     ExpressionAttributeValues: { ":start": 0, ":inc": 1 },
     ReturnValues: "UPDATED_NEW",
@@ -103,13 +140,23 @@ async function getNextGroupId() {
 }
 
 // === Save or Update a group config ===
+// Every question gets a persistent `id` the first time it is saved; existing ids are kept as-is
+// so ratings stay attached when other questions are added or removed
 // If your schema evolves (e.g., new settings), update newConfig and client-side payloads
 async function saveGroupConfig(groupId, requestBody) {
   const config = JSON.parse(requestBody);
+  const invalid = (config.questions || []).map(validateQuestion).find(Boolean);
+  if (invalid) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ message: invalid }),
+    };
+  }
+  const questions = withQuestionIds(config.questions || []);
   const newConfig = {
     fontFace: config.fontFace || "Arial",
     colorScheme: config.colorScheme || "#000000",
-    questionsJson: JSON.stringify(config.questions || []),
+    questionsJson: JSON.stringify(questions),
   };
 
   await docClient.send(
@@ -124,10 +171,53 @@ async function saveGroupConfig(groupId, requestBody) {
 
   return {
     statusCode: 200,
-    body: JSON.stringify({ message: `Saved group ${groupId}`, groupId }),
+    body: JSON.stringify({ message: `Saved group ${groupId}`, groupId, questions }),
   };
 }
 
+// === Check a question's conversation and reveal settings; returns an error message or null ===
+function validateQuestion(q) {
+  const name = q.question || "untitled question";
+  if (q.ratingScope !== undefined && !RATING_SCOPES.includes(q.ratingScope)) {
+    return `ratingScope must be one of: ${RATING_SCOPES.join(", ")} ("${name}")`;
+  }
+
+  const turns = q.turns || [];
+  if (!Array.isArray(turns)) return `turns must be a list ("${name}")`;
+  if (turns.length > MAX_TURNS) return `At most ${MAX_TURNS} follow-up turns per question ("${name}")`;
+  for (const [i, turn] of turns.entries()) {
+    if (!String(turn.answer || "").trim()) return `Turn ${i + 2} of "${name}" needs an answer`;
+    if (turn.delay !== undefined && turn.delay !== "" && !(Number(turn.delay) >= 0)) {
+      return `Turn ${i + 2} of "${name}": delay must be zero or more seconds`;
+    }
+    const invalid = validateReveal(turn) || validateCorrectness(turn);
+    if (invalid) return `Turn ${i + 2}: ${invalid}`;
+  }
+  return validateReveal(q) || validateCorrectness(q);
+}
+
+function validateCorrectness(item) {
+  if (item.correctness === undefined || item.correctness === null || item.correctness === "") return null;
+  if (!CORRECTNESS_VALUES.includes(item.correctness)) {
+    return `correctness must be one of: ${CORRECTNESS_VALUES.join(", ")} ("${item.question || item.answer || "untitled"}")`;
+  }
+  return null;
+}
+
+// === Check reveal settings of a question or turn; returns an error message or null ===
+// Questions saved before reveal modes existed have none and are shown instantly
+function validateReveal(q) {
+  if (q.revealMode !== undefined && q.revealMode !== "" && !REVEAL_MODES.includes(q.revealMode)) {
+    return `revealMode must be one of: ${REVEAL_MODES.join(", ")}`;
+  }
+  for (const field of REVEAL_NUMBER_FIELDS) {
+    const value = q[field];
+    if (value === undefined || value === null || value === "") continue;
+    if (!(Number(value) > 0)) return `${field} must be a positive number ("${q.question || "untitled question"}")`;
+  }
+  return null;
+}
+
 // === Retrieve single group config ===
 // Consider caching result or adding metrics if group fetch is a bottleneck
 async function getGroupConfig(groupId) {
@@ -159,16 +249,74 @@ async function getGroupConfig(groupId) {
 // If table grows large, replace with paginated Scan or Query with filters
 async function getAllGroupConfigs() {
   const result = await docClient.send(new ScanCommand({ TableName: TABLE_NAME }));
+  const groups = (result.Items || []).filter(
+    item => item.groupId !== COUNTER_KEY && item.groupId !== ASSIGNMENT_KEY
+  );
   return {
     statusCode: 200,
-    body: JSON.stringify(result.Items),
+    body: JSON.stringify(groups),
+  };
+}
+
+// === Retrieve condition assignment settings ===
+// Defaults to round-robin so a fresh deployment balances groups without any setup
+async function getAssignmentSettings() {
+  const result = await docClient.send(
+    new GetCommand({ TableName: TABLE_NAME, Key: { groupId: ASSIGNMENT_KEY } })
+  );
+  return {
+    statusCode: 200,
+    body: JSON.stringify({
+      mode: result.Item?.mode || "round-robin",
+      blockSize: result.Item?.blockSize || 0,
+      weights: result.Item?.weights || {},
+    }),
+  };
+}
+
+// === Save condition assignment settings ===
+// weights: { [groupId]: number } — only used in "weighted" mode
+// blockSize: participants per block — only used in "block" mode (0 = one slot per group)
+async function saveAssignmentSettings(requestBody) {
+  const { mode, blockSize, weights } = JSON.parse(requestBody || "{}");
+  if (!ASSIGNMENT_MODES.includes(mode)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ message: `mode must be one of: ${ASSIGNMENT_MODES.join(", ")}` }),
+    };
+  }
+
+  const cleanWeights = {};
+  for (const [id, w] of Object.entries(weights || {})) {
+    const n = Number(w);
+    if (!Number.isFinite(n) || n < 0) {
+      return {
+        statusCode: 400,
+        body: JSON.stringify({ message: `Invalid weight for group ${id}` }),
+      };
+    }
+    cleanWeights[id] = n;
+  }
+
+  const item = {
+    groupId: ASSIGNMENT_KEY,
+    mode,
+    blockSize: Math.max(0, Math.floor(Number(blockSize) || 0)),
+    weights: cleanWeights,
+  };
+  await docClient.send(new PutCommand({ TableName: TABLE_NAME, Item: item }));
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ message: "Saved assignment settings", ...item }),
   };
 }
 
 // === Delete a specific question from a group ===
+// Matches on the question's persistent id only — rows saved before ids existed need fakeAI/migrateQuestionIds.js first
 // If last question removed, the group itself is deleted for cleanup
 // If you want to retain empty groups for analytics, remove delete call
-async function deleteQuestionFromGroup(groupId, questionText) {
+async function deleteQuestionFromGroup(groupId, questionId) {
   const result = await docClient.send(
     new GetCommand({ TableName: TABLE_NAME, Key: { groupId } })
   );
@@ -181,10 +329,13 @@ async function deleteQuestionFromGroup(groupId, questionText) {
   }
 
   const originalQuestions = JSON.parse(result.Item.questionsJson);
-  const normalizedToDelete = questionText.trim().toLowerCase();
-  const updated = originalQuestions.filter(q =>
-    (q.question || "").trim().toLowerCase() !== normalizedToDelete
-  );
+  const updated = originalQuestions.filter(q => q.id !== questionId);
+  if (updated.length === originalQuestions.length) {
+    return {
+      statusCode: 404,
+      body: JSON.stringify({ message: `Question ${questionId} not found in group ${groupId}` }),
+    };
+  }
 
   if (updated.length === 0) {
     await docClient.send(new DeleteCommand({ TableName: TABLE_NAME, Key: { groupId } }));
@@ -0,0 +1,11 @@
+// questionIds.js — Persistent question ids for group configs
+
+const { randomUUID } = require("crypto");
+
+// === Assign a UUID to any question that does not have one yet ===
+// Existing ids are kept as-is so ratings stay attached when other questions are added or removed
+function withQuestionIds(questions) {
+  return questions.map(q => ({ ...q, id: q.id || randomUUID() }));
+}
+
+module.exports = { withQuestionIds };
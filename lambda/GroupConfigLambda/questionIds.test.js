@@ -0,0 +1,22 @@
+const { withQuestionIds } = require("./questionIds");
+
+describe("withQuestionIds", () => {
+  test("keeps existing ids", () => {
+    const questions = [{ id: "q-1", question: "A" }, { id: "q-2", question: "B" }];
+    expect(withQuestionIds(questions)).toEqual(questions);
+  });
+
+  test("assigns a distinct UUID to each question without an id", () => {
+    const result = withQuestionIds([{ question: "A" }, { id: "q-2", question: "B" }, { question: "C" }]);
+    expect(result[1].id).toBe("q-2");
+    expect(result[0].id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(result[2].id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(result[0].id).not.toBe(result[2].id);
+  });
+
+  test("does not modify the questions passed in", () => {
+    const questions = [{ question: "A" }];
+    withQuestionIds(questions);
+    expect(questions[0].id).toBeUndefined();
+  });
+});
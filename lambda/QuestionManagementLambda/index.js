@@ -1,20 +1,35 @@
-// questionsApi.js — Lambda function for managing individual survey questions via composite key (surveyId + questionId)
-// Supports endpoints for creating, retrieving, updating, and deleting questions
-// Uses DynamoDB with composite keys for scalable question storage
+// questionsApi.js — Lambda function for managing surveys and their questions
+// Surveys (title, description, owner, status) live in SURVEYS_TABLE keyed by surveyId;
+// questions live in TABLE_NAME via composite key (surveyId + questionId), linking each to its parent survey
+// Supports endpoints for creating, retrieving, updating, and deleting both, plus survey response submission
 
 const { 
   DynamoDBClient, 
   ScanCommand, 
   PutItemCommand,
   GetItemCommand, 
-  DeleteItemCommand
+  DeleteItemCommand,
+  UpdateItemCommand,
+  QueryCommand
 } = require("@aws-sdk/client-dynamodb");
 const { v4: uuidv4 } = require("uuid");
+const { isEmptyAnswer, isQuestionVisible, mergeQuestions, validateShowIfRules } = require("./showIf");
+const { scalePoints } = require("../../src/surveyRules");
 
 // === DynamoDB Config ===
 // If your deployment uses different environments (dev, prod), consider using environment variable overrides.
 const dbClient = new DynamoDBClient({ region: "us-east-2" });
 const TABLE_NAME = process.env.QUESTIONS_TABLE || "Questions"; // Composite key: surveyId + questionId
+const SURVEYS_TABLE = process.env.SURVEYS_TABLE || "Surveys"; // Key: surveyId
+const RESPONSES_TABLE = process.env.SURVEY_RESPONSES_TABLE || "SurveyResponses"; // Composite key: surveyId + responseId
+const SURVEY_STATUSES = ["active", "archived"];
+const DEFAULT_SCALE = { min: 1, max: 5, step: 1, minLabel: "", maxLabel: "" }; // Linear scales saved before ranges were configurable
+const MAX_SCALE_POINTS = 101;
+const DEFAULT_BOUNDS = { min: null, max: null, integer: false }; // Number questions: unbounded unless set
+const SCALE_TYPES = ["linear-scale", "slider"]; // Types configured by a { min, max, step, minLabel, maxLabel } scale
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
 
 exports.handler = async (event) => {
   console.log("Received event:", JSON.stringify(event, null, 2));
@@ -28,16 +43,129 @@ exports.handler = async (event) => {
   const rawPath = event.path || event.requestContext?.http?.path || "";
 
   try {
-    // === GET /questions — Return all stored questions ===
+    // === GET /questions[?surveyId=...] — Return all stored questions, or only one survey's ===
     if (method === "GET" && rawPath === "/questions") {
-      const items = await getAllQuestions();
+      const surveyId = (event.queryStringParameters || {}).surveyId;
+      const items = surveyId ? await getSurveyQuestions(surveyId) : await getAllQuestions();
       return successRes(items);
     }
 
+    // === POST /surveys/{surveyId}/responses — Validate and store one participant's answers ===
+    // Answers are checked against the survey's stored question definitions; invalid submissions get a 400
+    // with one { questionId, message } entry per problem so the survey page can highlight them.
+    else if (method === "POST" && /^\/surveys\/[^/]+\/responses$/.test(rawPath)) {
+      const surveyId = decodeURIComponent(rawPath.split("/")[2]);
+      const data = JSON.parse(event.body || "{}");
+      if (!data.answers || typeof data.answers !== "object" || Array.isArray(data.answers)) {
+        return badRequest("Missing answers object");
+      }
+
+      const [survey, questions] = await Promise.all([getSurvey(surveyId), getSurveyQuestions(surveyId)]);
+      if (!questions.length) return notFound(`No survey found for surveyId=${surveyId}`);
+      if (survey?.status === "archived") return badRequest("This survey is archived and no longer accepts responses");
+
+      const errors = validateAnswers(questions, data.answers);
+      if (errors.length) return badRequest("Invalid response", { errors });
+
+      const res = await storeSurveyResponse(surveyId, data);
+      return successRes(res);
+    }
+
+    // === GET /surveys/{surveyId}/responses?limit=&nextToken= — Page through a survey's submissions ===
+    // Results are oldest first; pass the returned nextToken to fetch the following page.
+    else if (method === "GET" && /^\/surveys\/[^/]+\/responses$/.test(rawPath)) {
+      const surveyId = decodeURIComponent(rawPath.split("/")[2]);
+      const { limit, nextToken } = event.queryStringParameters || {};
+
+      let startKey;
+      try {
+        startKey = decodeNextToken(nextToken);
+      } catch {
+        return badRequest("Invalid nextToken");
+      }
+
+      const page = await listSurveyResponses(surveyId, Number(limit) || DEFAULT_PAGE_SIZE, startKey);
+      return successRes(page);
+    }
+
+    // === GET /surveys/{surveyId}/responses/{responseId} — Retrieve a single submission ===
+    else if (method === "GET" && /^\/surveys\/[^/]+\/responses\/[^/]+$/.test(rawPath)) {
+      const [, , surveyId, , responseId] = rawPath.split("/").map(decodeURIComponent);
+      const response = await getSurveyResponse(surveyId, responseId);
+      if (!response) return notFound(`No response found for surveyId=${surveyId}, responseId=${responseId}`);
+      return successRes(response);
+    }
+
+    // === POST /surveys — Create a survey (title, description, owner) ===
+    else if (method === "POST" && rawPath === "/surveys") {
+      const data = JSON.parse(event.body || "{}");
+      const survey = await saveSurvey(uuidv4(), data);
+      return successRes(survey);
+    }
+
+    // === GET /surveys[?includeArchived=true] — List surveys, newest first ===
+    else if (method === "GET" && rawPath === "/surveys") {
+      const includeArchived = (event.queryStringParameters || {}).includeArchived === "true";
+      const surveys = await listSurveys(includeArchived);
+      return successRes(surveys);
+    }
+
+    // === GET /surveys/{surveyId} — Retrieve a survey with its questions ===
+    else if (method === "GET" && /^\/surveys\/[^/]+$/.test(rawPath)) {
+      const surveyId = decodeURIComponent(rawPath.split("/")[2]);
+      const [survey, questions] = await Promise.all([getSurvey(surveyId), getSurveyQuestions(surveyId)]);
+      if (!survey && !questions.length) return notFound(`No survey found for surveyId=${surveyId}`);
+
+      // Surveys saved before the Surveys table existed only have questions — return placeholder metadata
+      return successRes({ ...(survey || legacySurvey(surveyId)), questions });
+    }
+
+    // === PUT /surveys/{surveyId} — Update title, description or status ===
+    else if (method === "PUT" && /^\/surveys\/[^/]+$/.test(rawPath)) {
+      const surveyId = decodeURIComponent(rawPath.split("/")[2]);
+      const data = JSON.parse(event.body || "{}");
+      if (data.status !== undefined && !SURVEY_STATUSES.includes(data.status)) {
+        return badRequest(`status must be one of: ${SURVEY_STATUSES.join(", ")}`);
+      }
+      if (!(await surveyExists(surveyId))) return notFound(`No survey found for surveyId=${surveyId}`);
+
+      // saveSurvey upserts, so a legacy survey gets its Surveys row on this first write
+      const survey = await saveSurvey(surveyId, data);
+      return successRes(survey);
+    }
+
+    // === DELETE /surveys/{surveyId} — Archive a survey ===
+    // Surveys are never hard-deleted so their questions and collected responses stay intact.
+    else if (method === "DELETE" && /^\/surveys\/[^/]+$/.test(rawPath)) {
+      const surveyId = decodeURIComponent(rawPath.split("/")[2]);
+      if (!(await surveyExists(surveyId))) return notFound(`No survey found for surveyId=${surveyId}`);
+
+      const survey = await saveSurvey(surveyId, { status: "archived" });
+      return successRes({ message: `Survey ${surveyId} archived`, survey });
+    }
+
+    // === POST /surveys/{surveyId}/questions/batch — Apply a builder diff in one request ===
+    // Body: { created: [question], updated: [question], deleted: [questionId] }
+    // Question IDs are kept stable, so responses collected earlier stay attached to their questions.
+    else if (method === "POST" && /^\/surveys\/[^/]+\/questions\/batch$/.test(rawPath)) {
+      const surveyId = decodeURIComponent(rawPath.split("/")[2]);
+      const data = JSON.parse(event.body || "{}");
+      if (!(await surveyExists(surveyId))) return notFound(`No survey found for surveyId=${surveyId}`);
+
+      // createMultipleQuestions upserts the Surveys row, so legacy surveys get one on their first batch
+      const res = await applyQuestionBatch(surveyId, data);
+      if (res.errors) return badRequest("Invalid question batch", { errors: res.errors });
+      return successRes(res);
+    }
+
     // === POST /questions — Create multiple questions for a survey ===
-    // If no surveyId is provided, a new one will be generated. Update here if you add user-authenticated ownership.
+    // If no surveyId is provided, a new survey is created. surveyTitle/surveyDescription/owner update the survey record.
     else if (method === "POST" && rawPath === "/questions") {
       const data = JSON.parse(event.body || "{}");
+      const existing = data.surveyId ? await getSurveyQuestions(data.surveyId) : [];
+      const questionErrors = validateQuestions(mergeQuestions(existing, data.questions || []));
+      if (questionErrors.length) return badRequest("Invalid questions", { errors: questionErrors });
+
       const res = await createMultipleQuestions(data);
       return successRes(res);
     }
@@ -61,17 +189,26 @@ exports.handler = async (event) => {
       const surveyId = (event.queryStringParameters || {}).surveyId;
       if (!surveyId) return badRequest("Missing surveyId as query param");
 
+      const existing = await getSurveyQuestions(surveyId);
+      const questionErrors = validateQuestions(mergeQuestions(existing, [{ ...data, questionId }]));
+      if (questionErrors.length) return badRequest("Invalid questions", { errors: questionErrors });
+
       const updated = await updateQuestion(surveyId, questionId, data);
       return successRes(updated);
     }
 
     // === DELETE /questions/{questionId}?surveyId=... — Delete a question ===
+    // Rejected with the show-if errors it would cause while other questions' rules still depend on it.
     // Consider converting this to a soft delete pattern if question auditability becomes important.
     else if (method === "DELETE" && rawPath.startsWith("/questions/")) {
       const questionId = rawPath.replace("/questions/", "");
       const surveyId = (event.queryStringParameters || {}).surveyId;
       if (!surveyId) return badRequest("Missing surveyId as query param");
 
+      const remaining = (await getSurveyQuestions(surveyId)).filter(q => q.questionId !== questionId);
+      const ruleErrors = validateShowIfRules(remaining);
+      if (ruleErrors.length) return badRequest("Other questions' show-if rules depend on this question", { errors: ruleErrors });
+
       await deleteQuestion(surveyId, questionId);
       return successRes({ message: `Question ${questionId} deleted` });
     }
@@ -94,28 +231,121 @@ exports.handler = async (event) => {
 async function getAllQuestions() {
   // If the table becomes large, use pagination here to avoid scan timeouts.
   const result = await dbClient.send(new ScanCommand({ TableName: TABLE_NAME }));
-  return (result.Items || []).map(dynToQuestion);
+  return (result.Items || [])
+    .map(dynToQuestion)
+    .sort((a, b) => a.surveyId.localeCompare(b.surveyId) || compareQuestionOrder(a, b));
+}
+
+async function getSurveyQuestions(surveyId) {
+  // Query on the partition key avoids scanning every survey's questions
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dbClient.send(new QueryCommand({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: "surveyId = :s",
+      ExpressionAttributeValues: { ":s": { S: surveyId } },
+      ExclusiveStartKey: lastKey
+    }));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  return items.map(dynToQuestion).sort(compareQuestionOrder);
+}
+
+// Questions are shown by their `order` attribute; questions saved before it existed go last
+function compareQuestionOrder(a, b) {
+  const ao = a.order ?? Number.MAX_SAFE_INTEGER;
+  const bo = b.order ?? Number.MAX_SAFE_INTEGER;
+  return ao - bo || a.questionId.localeCompare(b.questionId);
 }
 
 async function createMultipleQuestions(data) {
   const surveyId = data.surveyId || uuidv4();
   const questions = data.questions || [];
 
+  // Create the parent survey record on first save, or refresh its title/description
+  await saveSurvey(surveyId, {
+    title: data.surveyTitle,
+    description: data.surveyDescription,
+    owner: data.owner
+  });
+
+  // Questions without an explicit order are appended after the survey's existing questions
+  let nextOrder = 0;
+  if (questions.some(q => !Number.isFinite(q.order))) {
+    const existing = await getSurveyQuestions(surveyId);
+    nextOrder = existing.reduce((max, q) => Math.max(max, (q.order ?? -1) + 1), existing.length);
+  }
+
   // If adding question metadata or validation rules, insert transformation here.
+  // Callers may supply their own questionId (the builder generates UUIDs client-side).
+  const questionIds = [];
   for (const q of questions) {
-    const questionId = uuidv4();
+    const questionId = q.questionId || uuidv4();
     const item = questionToDynamo({
       surveyId,
       questionId,
       text: q.text,
       type: q.type,
       required: q.required,
-      options: q.options
+      options: q.options,
+      showIf: q.showIf,
+      scale: q.scale,
+      columns: q.columns,
+      bounds: q.bounds,
+      order: Number.isFinite(q.order) ? q.order : nextOrder++
     });
     await dbClient.send(new PutItemCommand({ TableName: TABLE_NAME, Item: item }));
+    questionIds.push(questionId);
   }
 
-  return { message: "Questions stored", surveyId, count: questions.length };
+  return { message: "Questions stored", surveyId, count: questions.length, questionIds };
+}
+
+// Applies created/updated/deleted questions for one survey.
+// Every ID is checked against the stored questions before anything is written,
+// so a stale builder tab cannot resurrect deleted questions or overwrite another survey's.
+async function applyQuestionBatch(surveyId, { created = [], updated = [], deleted = [] }) {
+  const existing = await getSurveyQuestions(surveyId);
+  const existingIds = new Set(existing.map(q => q.questionId));
+  const errors = [];
+
+  for (const q of created) {
+    if (q.questionId && existingIds.has(q.questionId)) {
+      errors.push({ questionId: q.questionId, message: "Question already exists" });
+    }
+  }
+  for (const q of updated) {
+    if (!q.questionId || !existingIds.has(q.questionId)) {
+      errors.push({ questionId: q.questionId, message: "Question to update does not exist" });
+    }
+  }
+  for (const questionId of deleted) {
+    if (!existingIds.has(questionId)) {
+      errors.push({ questionId, message: "Question to delete does not exist" });
+    }
+  }
+  if (errors.length) return { errors };
+
+  // Question definitions and show-if rules are checked against the survey as it will be after the batch
+  const deletedIds = new Set(deleted);
+  const questionErrors = validateQuestions(
+    mergeQuestions(existing.filter(q => !deletedIds.has(q.questionId)), [...created, ...updated])
+  );
+  if (questionErrors.length) return { errors: questionErrors };
+
+  const { questionIds: createdIds } = await createMultipleQuestions({ surveyId, questions: created });
+  for (const q of updated) await updateQuestion(surveyId, q.questionId, q);
+  for (const questionId of deleted) await deleteQuestion(surveyId, questionId);
+
+  return {
+    message: "Survey questions updated",
+    surveyId,
+    created: createdIds,
+    updated: updated.map(q => q.questionId),
+    deleted
+  };
 }
 
 async function getSingleQuestion(surveyId, questionId) {
@@ -132,7 +362,7 @@ async function getSingleQuestion(surveyId, questionId) {
 
 async function updateQuestion(surveyId, questionId, data) {
   // This function replaces the entire item. For partial updates, use UpdateItemCommand instead.
-  const item = questionToDynamo({ surveyId, questionId, ...data });
+  const item = questionToDynamo({ ...data, surveyId, questionId });
   await dbClient.send(new PutItemCommand({ TableName: TABLE_NAME, Item: item }));
   return { surveyId, questionId, ...data };
 }
@@ -148,8 +378,306 @@ async function deleteQuestion(surveyId, questionId) {
   await dbClient.send(new DeleteItemCommand(params));
 }
 
+// === Survey Records ===
+// Creates the survey if it does not exist yet; only fields present in `data` are changed.
+// createdAt and owner are set once; status stays "active" until explicitly changed.
+async function saveSurvey(surveyId, data) {
+  const now = new Date().toISOString();
+  const title = typeof data.title === "string" && data.title.trim() ? data.title.trim() : null;
+
+  const sets = ["updatedAt = :now", "createdAt = if_not_exists(createdAt, :now)"];
+  const names = { "#owner": "owner", "#status": "status" };
+  const values = {
+    ":now": { S: now },
+    ":title": { S: title || "Untitled Survey" },
+    ":description": { S: typeof data.description === "string" ? data.description : "" },
+    ":owner": { S: typeof data.owner === "string" ? data.owner : "" },
+    ":status": { S: SURVEY_STATUSES.includes(data.status) ? data.status : "active" }
+  };
+
+  sets.push(title ? "title = :title" : "title = if_not_exists(title, :title)");
+  sets.push(typeof data.description === "string"
+    ? "description = :description"
+    : "description = if_not_exists(description, :description)");
+  sets.push("#owner = if_not_exists(#owner, :owner)");
+  sets.push(SURVEY_STATUSES.includes(data.status)
+    ? "#status = :status"
+    : "#status = if_not_exists(#status, :status)");
+
+  const result = await dbClient.send(new UpdateItemCommand({
+    TableName: SURVEYS_TABLE,
+    Key: { surveyId: { S: surveyId } },
+    UpdateExpression: `SET ${sets.join(", ")}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: "ALL_NEW"
+  }));
+  return dynToSurvey(result.Attributes);
+}
+
+async function getSurvey(surveyId) {
+  const result = await dbClient.send(new GetItemCommand({
+    TableName: SURVEYS_TABLE,
+    Key: { surveyId: { S: surveyId } }
+  }));
+  return result.Item ? dynToSurvey(result.Item) : null;
+}
+
+async function listSurveys(includeArchived) {
+  // If the number of surveys grows large, add an owner/status index and Query instead.
+  const items = [];
+  let lastKey;
+  do {
+    const result = await dbClient.send(new ScanCommand({ TableName: SURVEYS_TABLE, ExclusiveStartKey: lastKey }));
+    items.push(...(result.Items || []));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items
+    .map(dynToSurvey)
+    .filter(s => includeArchived || s.status !== "archived")
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// A survey exists once it has a Surveys row — or, for surveys saved before that table, any question rows
+async function surveyExists(surveyId) {
+  if (await getSurvey(surveyId)) return true;
+  const result = await dbClient.send(new QueryCommand({
+    TableName: TABLE_NAME,
+    KeyConditionExpression: "surveyId = :s",
+    ExpressionAttributeValues: { ":s": { S: surveyId } },
+    Limit: 1
+  }));
+  return (result.Items || []).length > 0;
+}
+
+function legacySurvey(surveyId) {
+  return { surveyId, title: "Untitled Survey", description: "", owner: "", createdAt: null, updatedAt: null, status: "active" };
+}
+
+// === Survey Responses ===
+// Each submission is its own item. responseId starts with the submission time so items sort chronologically.
+// sessionId/studyId/phase link pre- and post-questionnaire answers to a SimulatedAIPage session
+async function storeSurveyResponse(surveyId, { answers, sessionId, studyId, phase }) {
+  const submittedAt = new Date().toISOString();
+  const responseId = `${submittedAt}#${uuidv4()}`;
+
+  const item = {
+    surveyId: { S: surveyId },
+    responseId: { S: responseId },
+    submittedAt: { S: submittedAt },
+    answersJson: { S: JSON.stringify(answers) }
+  };
+  if (sessionId) item.sessionId = { S: String(sessionId) };
+  if (studyId) item.studyId = { S: String(studyId) };
+  if (phase) item.phase = { S: String(phase) };
+
+  await dbClient.send(new PutItemCommand({ TableName: RESPONSES_TABLE, Item: item }));
+  return { message: "Response stored", surveyId, responseId };
+}
+
+async function listSurveyResponses(surveyId, limit, startKey) {
+  const result = await dbClient.send(new QueryCommand({
+    TableName: RESPONSES_TABLE,
+    KeyConditionExpression: "surveyId = :s",
+    ExpressionAttributeValues: { ":s": { S: surveyId } },
+    Limit: Math.min(Math.max(1, limit), MAX_PAGE_SIZE),
+    ExclusiveStartKey: startKey
+  }));
+  return {
+    items: (result.Items || []).map(dynToResponse),
+    nextToken: encodeNextToken(result.LastEvaluatedKey)
+  };
+}
+
+async function getSurveyResponse(surveyId, responseId) {
+  const result = await dbClient.send(new GetItemCommand({
+    TableName: RESPONSES_TABLE,
+    Key: {
+      surveyId: { S: surveyId },
+      responseId: { S: responseId }
+    }
+  }));
+  return result.Item ? dynToResponse(result.Item) : null;
+}
+
+// === Answer Validation ===
+// Returns a list of { questionId, message } problems; an empty list means the submission is valid.
+// If you add a question type, add its answer rules to validateAnswer().
+function validateAnswers(questions, answers) {
+  const errors = [];
+  const byId = new Map(questions.map(q => [q.questionId, q]));
+
+  for (const questionId of Object.keys(answers)) {
+    if (!byId.has(questionId)) errors.push({ questionId, message: "Unknown question" });
+  }
+
+  for (const q of questions) {
+    const value = answers[q.questionId];
+
+    // Questions hidden by their show-if rule are neither required nor answerable
+    if (!isQuestionVisible(q, answers, byId)) {
+      if (!isEmptyAnswer(value)) errors.push({ questionId: q.questionId, message: "This question was not shown." });
+      continue;
+    }
+
+    if (isEmptyAnswer(value)) {
+      if (q.required) errors.push({ questionId: q.questionId, message: "This question is required." });
+      continue;
+    }
+    const message = validateAnswer(q, value);
+    if (message) errors.push({ questionId: q.questionId, message });
+  }
+
+  return errors;
+}
+
+function validateAnswer(q, value) {
+  switch (q.type) {
+    case "short-answer":
+    case "paragraph":
+      return typeof value === "string" ? null : "Answer must be text.";
+
+    case "multiple-choice":
+    case "dropdown":
+      return q.options.includes(value) ? null : "Answer is not one of the options.";
+
+    case "checkbox":
+      if (!Array.isArray(value)) return "Answer must be a list of options.";
+      if (new Set(value).size !== value.length) return "Options may only be selected once.";
+      return value.every(v => q.options.includes(v)) ? null : "Answer includes an unknown option.";
+
+    case "linear-scale": {
+      const { min, max, step } = q.scale;
+      return scalePoints(q.scale).includes(value)
+        ? null
+        : `Answer must be a number from ${min} to ${max} in steps of ${step}.`;
+    }
+
+    // Sliders can have far more positions than a linear scale, so check the range and step arithmetically
+    case "slider": {
+      const { min, max, step } = q.scale;
+      if (typeof value !== "number" || value < min || value > max) return `Answer must be a number from ${min} to ${max}.`;
+      const steps = (value - min) / step;
+      return Math.abs(steps - Math.round(steps)) < 1e-6 ? null : `Answer must be in steps of ${step}.`;
+    }
+
+    // Answer is { [statement]: column } — one column per statement; required matrices need every statement
+    case "matrix": {
+      if (typeof value !== "object" || Array.isArray(value)) return "Answer must map each statement to a choice.";
+      for (const [row, column] of Object.entries(value)) {
+        if (!q.options.includes(row)) return `Unknown statement "${row}".`;
+        if (!q.columns.includes(column)) return `"${column}" is not one of the choices.`;
+      }
+      if (q.required && q.options.some(row => !(row in value))) return "Please answer every statement.";
+      return null;
+    }
+
+    // Answer is every option exactly once, most preferred first
+    case "ranking":
+      if (!Array.isArray(value)) return "Answer must be a list of options.";
+      return value.length === q.options.length && q.options.every(opt => value.includes(opt))
+        ? null
+        : "Answer must rank every option exactly once.";
+
+    case "number": {
+      const { min, max, integer } = q.bounds;
+      if (typeof value !== "number" || !Number.isFinite(value)) return "Answer must be a number.";
+      if (integer && !Number.isInteger(value)) return "Answer must be a whole number.";
+      if (min !== null && value < min) return `Answer must be at least ${min}.`;
+      if (max !== null && value > max) return `Answer must be at most ${max}.`;
+      return null;
+    }
+
+    // Answer is a calendar date as YYYY-MM-DD (the value of <input type="date">)
+    case "date":
+      return typeof value === "string" && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+        ? null
+        : "Answer must be a date (YYYY-MM-DD).";
+
+    default:
+      return `Unsupported question type "${q.type}".`;
+  }
+}
+
+// === Linear Scales ===
+// Returns an error message for an invalid scale, or null
+// Sliders are exempt from the point limit — they are continuous rather than a row of choices
+function validateScale(scale, maxPoints = MAX_SCALE_POINTS) {
+  const { min, max, step, minLabel, maxLabel } = scale;
+  if (![min, max, step].every(Number.isFinite)) return "Scale min, max and step must be numbers";
+  if (min >= max) return "Scale min must be less than max";
+  if (step <= 0) return "Scale step must be greater than 0";
+  const intervals = (max - min) / step;
+  if (Math.abs(intervals - Math.round(intervals)) > 1e-9) return "Scale step must divide evenly into the range";
+  if (intervals + 1 > maxPoints) return `Scale can have at most ${maxPoints} points`;
+  if (typeof minLabel !== "string" || typeof maxLabel !== "string") return "Scale labels must be text";
+  return null;
+}
+
+// Checks everything a save must get right before it is written: per-type settings and show-if rules
+function validateQuestions(questions) {
+  const errors = [];
+  for (const q of questions) {
+    const message = validateQuestionSettings(q);
+    if (message) errors.push({ questionId: q.questionId, message });
+  }
+  return [...errors, ...validateShowIfRules(questions)];
+}
+
+// Returns an error message if a question's type-specific settings are unusable, or null
+function validateQuestionSettings(q) {
+  switch (q.type) {
+    case "linear-scale":
+      return validateScale(normalizeScale(q.scale));
+    case "slider":
+      return validateScale(normalizeScale(q.scale), Infinity);
+    case "matrix":
+      if (!(q.options || []).length) return "A matrix needs at least one statement";
+      if (!(q.columns || []).length) return "A matrix needs at least one choice column";
+      return null;
+    case "ranking":
+      return (q.options || []).length >= 2 ? null : "A ranking question needs at least two options";
+    case "number": {
+      const { min, max } = normalizeBounds(q.bounds);
+      if ([min, max].some(v => v !== null && !Number.isFinite(v))) return "Number bounds must be numbers";
+      return min !== null && max !== null && min > max ? "Minimum must not be greater than maximum" : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Fills in defaults for a number question's bounds; blank min/max mean unbounded
+function normalizeBounds(bounds) {
+  const merged = { ...DEFAULT_BOUNDS, ...(bounds || {}) };
+  const toBound = v => (v === null || v === undefined || v === "" ? null : Number(v));
+  return { min: toBound(merged.min), max: toBound(merged.max), integer: !!merged.integer };
+}
+
+// Fills in defaults for missing scale fields; numeric strings from form inputs become numbers
+function normalizeScale(scale) {
+  const merged = { ...DEFAULT_SCALE, ...(scale || {}) };
+  return {
+    min: Number(merged.min),
+    max: Number(merged.max),
+    step: Number(merged.step),
+    minLabel: merged.minLabel ?? "",
+    maxLabel: merged.maxLabel ?? ""
+  };
+}
+
+// === Pagination Helpers ===
+// The DynamoDB LastEvaluatedKey is handed to clients as an opaque base64 token
+function encodeNextToken(lastKey) {
+  return lastKey ? Buffer.from(JSON.stringify(lastKey)).toString("base64") : null;
+}
+function decodeNextToken(token) {
+  return token ? JSON.parse(Buffer.from(token, "base64").toString("utf8")) : undefined;
+}
+
 // === Conversion Helpers ===
-function questionToDynamo({ surveyId, questionId, text, type, required, options }) {
+function questionToDynamo({ surveyId, questionId, text, type, required, options, order, showIf, scale, columns, bounds }) {
   const item = {
     surveyId: { S: surveyId },
     questionId: { S: questionId },
@@ -158,6 +686,11 @@ function questionToDynamo({ surveyId, questionId, text, type, required, options
   };
   if (typeof required !== "undefined") item.required = { BOOL: !!required };
   if (options) item.options = { L: options.map(opt => ({ S: opt })) };
+  if (Number.isFinite(order)) item.order = { N: String(order) };
+  if (showIf) item.showIfJson = { S: JSON.stringify(showIf) };
+  if (SCALE_TYPES.includes(type)) item.scaleJson = { S: JSON.stringify(normalizeScale(scale)) };
+  if (type === "matrix" && columns) item.columns = { L: columns.map(col => ({ S: col })) };
+  if (type === "number") item.boundsJson = { S: JSON.stringify(normalizeBounds(bounds)) };
   return item;
 }
 
@@ -168,7 +701,40 @@ function dynToQuestion(dynItem) {
     text: dynItem.text.S,
     type: dynItem.type.S,
     required: dynItem.required?.BOOL || false,
-    options: dynItem.options?.L ? dynItem.options.L.map(x => x.S) : []
+    options: dynItem.options?.L ? dynItem.options.L.map(x => x.S) : [],
+    order: dynItem.order ? Number(dynItem.order.N) : null,
+    showIf: dynItem.showIfJson ? JSON.parse(dynItem.showIfJson.S) : null,
+    scale: SCALE_TYPES.includes(dynItem.type.S)
+      ? normalizeScale(dynItem.scaleJson ? JSON.parse(dynItem.scaleJson.S) : null)
+      : null,
+    columns: dynItem.columns?.L ? dynItem.columns.L.map(x => x.S) : [],
+    bounds: dynItem.type.S === "number"
+      ? normalizeBounds(dynItem.boundsJson ? JSON.parse(dynItem.boundsJson.S) : null)
+      : null
+  };
+}
+
+function dynToSurvey(dynItem) {
+  return {
+    surveyId: dynItem.surveyId.S,
+    title: dynItem.title?.S || "Untitled Survey",
+    description: dynItem.description?.S || "",
+    owner: dynItem.owner?.S || "",
+    createdAt: dynItem.createdAt?.S || "",
+    updatedAt: dynItem.updatedAt?.S || "",
+    status: dynItem.status?.S || "active"
+  };
+}
+
+function dynToResponse(dynItem) {
+  return {
+    surveyId: dynItem.surveyId.S,
+    responseId: dynItem.responseId.S,
+    submittedAt: dynItem.submittedAt?.S || null,
+    sessionId: dynItem.sessionId?.S || null,
+    studyId: dynItem.studyId?.S || null,
+    phase: dynItem.phase?.S || null,
+    answers: JSON.parse(dynItem.answersJson?.S || "{}")
   };
 }
 
@@ -186,6 +752,6 @@ function successRes(body) {
 function notFound(msg) {
   return { statusCode: 404, headers: corsHeaders(), body: JSON.stringify({ message: msg }) };
 }
-function badRequest(msg) {
-  return { statusCode: 400, headers: corsHeaders(), body: JSON.stringify({ message: msg }) };
+function badRequest(msg, extra = {}) {
+  return { statusCode: 400, headers: corsHeaders(), body: JSON.stringify({ message: msg, ...extra }) };
 }
@@ -0,0 +1,58 @@
+// showIf.js — Show-if (skip logic) rules for survey questions
+// Used to validate saved rules and to check submitted answers against the questions that were shown.
+// Visibility itself lives in src/surveyRules.js, shared with the survey page so both hide the same questions.
+
+const { isEmptyAnswer, isQuestionVisible } = require("../../src/surveyRules");
+
+const SHOW_IF_OPERATORS = ["equals", "not-equals", "answered"];
+
+// Stored questions overlaid with incoming ones (matched by questionId), for validating the result of a save
+function mergeQuestions(existing, incoming) {
+  const byId = new Map(existing.map(q => [q.questionId, q]));
+  incoming.forEach((q, i) => byId.set(q.questionId || `new-${i}`, { ...q, questionId: q.questionId || `new-${i}` }));
+  return [...byId.values()];
+}
+
+// Returns { questionId, message } problems: unknown operators, missing or self references, and cycles
+function validateShowIfRules(questions) {
+  const errors = [];
+  const byId = new Map(questions.map(q => [q.questionId, q]));
+
+  for (const q of questions) {
+    if (!q.showIf) continue;
+    const { questionId: sourceId, operator, value } = q.showIf;
+    if (!SHOW_IF_OPERATORS.includes(operator)) {
+      errors.push({ questionId: q.questionId, message: `Show-if operator must be one of ${SHOW_IF_OPERATORS.join(", ")}` });
+    } else if (operator !== "answered" && (value === undefined || value === null || value === "")) {
+      errors.push({ questionId: q.questionId, message: "Show-if rule needs a value to compare against" });
+    }
+    if (sourceId === q.questionId) {
+      errors.push({ questionId: q.questionId, message: "A question cannot depend on itself" });
+    } else if (!byId.has(sourceId)) {
+      errors.push({ questionId: q.questionId, message: "Show-if rule refers to a question that does not exist" });
+    } else if (["matrix", "ranking"].includes(byId.get(sourceId).type) && operator !== "answered") {
+      // Matrix and ranking answers are not single values, so they can only be tested for being answered
+      errors.push({ questionId: q.questionId, message: "Matrix and ranking questions only support the \"answered\" rule" });
+    }
+  }
+
+  // Follow each rule chain; coming back to the starting question means the rules form a cycle
+  for (const q of questions) {
+    const visited = new Set([q.questionId]);
+    let current = q;
+    while (current?.showIf && current.showIf.questionId !== current.questionId) {
+      const nextId = current.showIf.questionId;
+      if (nextId === q.questionId) {
+        errors.push({ questionId: q.questionId, message: "Show-if rules form a cycle" });
+        break;
+      }
+      if (visited.has(nextId)) break; // cycle that does not include q — reported for its own members
+      visited.add(nextId);
+      current = byId.get(nextId);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { SHOW_IF_OPERATORS, isEmptyAnswer, isQuestionVisible, mergeQuestions, validateShowIfRules };
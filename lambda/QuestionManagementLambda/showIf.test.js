@@ -0,0 +1,102 @@
+const { isQuestionVisible, mergeQuestions, validateShowIfRules } = require("./showIf");
+
+const q = (questionId, showIf, type = "multiple-choice") => ({ questionId, type, showIf });
+const messagesFor = (errors, questionId) => errors.filter(e => e.questionId === questionId).map(e => e.message);
+
+describe("validateShowIfRules", () => {
+  test("accepts valid rules", () => {
+    expect(validateShowIfRules([
+      q("a"),
+      q("b", { questionId: "a", operator: "equals", value: "Yes" }),
+      q("c", { questionId: "b", operator: "answered" })
+    ])).toEqual([]);
+  });
+
+  test("rejects unknown operators and missing compare values", () => {
+    const errors = validateShowIfRules([
+      q("a"),
+      q("b", { questionId: "a", operator: "contains", value: "x" }),
+      q("c", { questionId: "a", operator: "not-equals", value: "" })
+    ]);
+    expect(messagesFor(errors, "b")).toEqual(["Show-if operator must be one of equals, not-equals, answered"]);
+    expect(messagesFor(errors, "c")).toEqual(["Show-if rule needs a value to compare against"]);
+  });
+
+  test("rejects self references and references to missing questions", () => {
+    const errors = validateShowIfRules([
+      q("a", { questionId: "a", operator: "answered" }),
+      q("b", { questionId: "gone", operator: "answered" })
+    ]);
+    expect(messagesFor(errors, "a")).toEqual(["A question cannot depend on itself"]);
+    expect(messagesFor(errors, "b")).toEqual(["Show-if rule refers to a question that does not exist"]);
+  });
+
+  test("only allows the answered rule on matrix and ranking sources", () => {
+    const errors = validateShowIfRules([
+      q("m", null, "matrix"),
+      q("b", { questionId: "m", operator: "equals", value: "Agree" }),
+      q("c", { questionId: "m", operator: "answered" })
+    ]);
+    expect(messagesFor(errors, "b")).toEqual(["Matrix and ranking questions only support the \"answered\" rule"]);
+    expect(messagesFor(errors, "c")).toEqual([]);
+  });
+
+  test("reports every member of a cycle", () => {
+    const errors = validateShowIfRules([
+      q("a", { questionId: "c", operator: "answered" }),
+      q("b", { questionId: "a", operator: "answered" }),
+      q("c", { questionId: "b", operator: "answered" })
+    ]);
+    expect(errors).toEqual(["a", "b", "c"].map(questionId => ({ questionId, message: "Show-if rules form a cycle" })));
+  });
+
+  test("does not report a question that only leads into someone else's cycle", () => {
+    const errors = validateShowIfRules([
+      q("a", { questionId: "b", operator: "answered" }),
+      q("b", { questionId: "a", operator: "answered" }),
+      q("d", { questionId: "a", operator: "answered" })
+    ]);
+    expect(messagesFor(errors, "d")).toEqual([]);
+    expect(errors).toHaveLength(2);
+  });
+
+  test("flags rules left pointing at a deleted question", () => {
+    const questions = [q("a"), q("b", { questionId: "a", operator: "answered" })];
+    const remaining = questions.filter(x => x.questionId !== "a");
+    expect(validateShowIfRules(remaining)).toEqual([
+      { questionId: "b", message: "Show-if rule refers to a question that does not exist" }
+    ]);
+  });
+});
+
+describe("mergeQuestions", () => {
+  test("overlays incoming questions on stored ones and keys new ones by position", () => {
+    const merged = mergeQuestions([q("a"), q("b")], [{ questionId: "b", type: "dropdown" }, { type: "checkbox" }]);
+    expect(merged.map(x => [x.questionId, x.type])).toEqual([["a", "multiple-choice"], ["b", "dropdown"], ["new-1", "checkbox"]]);
+  });
+});
+
+describe("isQuestionVisible", () => {
+  const questions = [
+    q("a"),
+    q("b", { questionId: "a", operator: "equals", value: "Yes" }),
+    q("c", { questionId: "b", operator: "not-equals", value: "No" })
+  ];
+  const byId = new Map(questions.map(x => [x.questionId, x]));
+
+  test("shows a question when its source's answer satisfies the rule", () => {
+    expect(isQuestionVisible(questions[1], { a: "Yes" }, byId)).toBe(true);
+    expect(isQuestionVisible(questions[1], { a: "No" }, byId)).toBe(false);
+    expect(isQuestionVisible(questions[1], { a: ["Maybe", "Yes"] }, byId)).toBe(true);
+  });
+
+  test("hides a question whose source is hidden, whatever its answer", () => {
+    expect(isQuestionVisible(questions[2], { a: "Yes", b: "Sure" }, byId)).toBe(true);
+    expect(isQuestionVisible(questions[2], { a: "No", b: "Sure" }, byId)).toBe(false);
+  });
+
+  test("hides questions in a cycle instead of looping", () => {
+    const cyclic = [q("x", { questionId: "y", operator: "answered" }), q("y", { questionId: "x", operator: "answered" })];
+    expect(isQuestionVisible(cyclic[0], { x: "1", y: "2" }, new Map(cyclic.map(x => [x.questionId, x])))).toBe(false);
+  });
+});
@@ -1,10 +1,48 @@
 // surveyStatus.js — Lambda function for toggling and retrieving survey availability
-// Supports two methods:
-//   - GET:  Retrieve current survey open/closed state
-//   - POST: Update the state (admin action)
+// Each survey (study deployment) has its own row, keyed by surveyId. Supports:
+//   - GET  /survey-status?surveyId=...  Retrieve one survey's effective open/closed state
+//   - GET  /survey-status/all           List every survey with its state
+//   - POST /survey-status               Update a survey (admin action),
+//                                       body: { surveyId, isOpen?, opensAt?, closesAt?, maxResponses?,
+//                                               preSurveyId?, postSurveyId?, ratingPolicy?,
+//                                               completionPolicy?, minRatings?, ratingInstrument?,
+//                                               questionOrder?, orderBlockSize?, promptInput?, fallbackAnswer? }
+//
+// A survey is effectively open only when all of these hold:
+//   - the manual switch (isOpen) is on
+//   - the current time is inside the optional opensAt/closesAt window
+//   - the completion count from incrementsurveycounter is below the optional maxResponses quota
+//
+// The row is also the study's configuration: preSurveyId/postSurveyId name SurveyBuilder surveys
+// (QuestionManagementLambda) that participants fill in before and after the SimulatedAIPage session.
+// ratingPolicy decides what fakeAI does with a second rating of the same question: "overwrite" or "reject".
+// completionPolicy decides when "Finished" is allowed (enforced by incrementsurveycounter):
+// "all" questions rated, a "minimum" of minRatings rated, or "free".
+// ratingInstrument is what participants answer about each AI answer: { items: [{ id, label, type, min?, max?, required }] }
+// with type "scale" (whole numbers min..max), "binary" (yes/no) or "text"; null restores the 1–5 star default.
+// questionOrder decides the order fakeAI serves each participant's questions in: "fixed", "random",
+// "latin-square" or "blocked" (shuffled within consecutive blocks of orderBlockSize questions).
+// promptInput decides how participants ask: clicking question "buttons", typing "free-text" (matched to a
+// question by fakeAI's /prompt), or "both"; fallbackAnswer is shown when a typed prompt matches nothing.
+//
+// Consent (per survey, versioned — publishing an edit creates a new version, old versions are kept):
+//   - GET  /survey-status/consent?surveyId=...[&version=N]  Current (or a specific) consent form
+//   - GET  /survey-status/consent/versions?surveyId=...     Every version, newest first
+//   - POST /survey-status/consent                           Publish a new version, body: { surveyId, text, createdBy? }
+//   - POST /survey-status/consent/records                   Record a decision,
+//                                                           body: { surveyId, sessionId, version, decision }
+//   - GET  /survey-status/consent/records?surveyId=...      Consent log with accepted/declined counts
+//                                                           (each participant's latest decision, earlier ones in history)
 
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
-const { GetCommand, UpdateCommand, DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  ScanCommand,
+  QueryCommand,
+  DynamoDBDocumentClient
+} = require("@aws-sdk/lib-dynamodb");
 
 // === Setup DynamoDB Document Client ===
 // If deploying in another region or adding retries/logging, configure DynamoDBClient here
@@ -12,12 +50,65 @@ const client = new DynamoDBClient();
 const docClient = DynamoDBDocumentClient.from(client);
 
 // === Table and Key Constants ===
-// If table schema evolves (e.g., multiple surveys with different IDs), refactor to accept surveyId dynamically
 const TABLE_NAME = 'SurveyStatus';
-const SURVEY_ID = 'my-survey'; // Only one row is tracked for simplicity
+const DEFAULT_SURVEY_ID = 'my-survey'; // Used when a request has no surveyId — the original single-survey row
+
+// Completion counts live in the incrementsurveycounter table — keep these in sync with that Lambda
+const COUNTER_TABLE = process.env.COUNTER_TABLE || 'SurveyCounter';
+const DEFAULT_COUNTER_KEY = process.env.COUNTER_KEY || 'totalSurveys';
+
+// SurveyBuilder surveys live in QuestionManagementLambda's tables — used to check questionnaire links
+const SURVEYS_TABLE = process.env.SURVEYS_TABLE || 'Surveys';
+const QUESTIONS_TABLE = process.env.QUESTIONS_TABLE || 'Questions'; // Composite key: surveyId + questionId
+const QUESTIONNAIRE_FIELDS = ['preSurveyId', 'postSurveyId'];
+
+// Keep DEFAULT_RATING_POLICY in sync with fakeAI
+const RATING_POLICIES = ['overwrite', 'reject'];
+const DEFAULT_RATING_POLICY = 'overwrite';
+
+// Keep DEFAULT_COMPLETION_POLICY in sync with incrementsurveycounter
+const COMPLETION_POLICIES = ['all', 'minimum', 'free'];
+const DEFAULT_COMPLETION_POLICY = 'free';
+
+// Keep DEFAULT_QUESTION_ORDER in sync with fakeAI
+const QUESTION_ORDERS = ['fixed', 'random', 'latin-square', 'blocked'];
+const DEFAULT_QUESTION_ORDER = 'fixed';
+
+// Keep DEFAULT_FALLBACK_ANSWER in sync with fakeAI
+const PROMPT_INPUTS = ['buttons', 'free-text', 'both'];
+const DEFAULT_PROMPT_INPUT = 'buttons';
+const DEFAULT_FALLBACK_ANSWER = "I'm sorry, I can't help with that. Try asking about one of the topics in this study.";
+const MAX_FALLBACK_ANSWER_LENGTH = 2000;
+
+// Keep DEFAULT_RATING_INSTRUMENT in sync with fakeAI — item id "rating" keeps the original rating1..rating5 export columns
+const RATING_ITEM_TYPES = ['scale', 'binary', 'text'];
+const RATING_ITEM_ID_PATTERN = /^[A-Za-z][A-Za-z0-9]{0,29}$/; // Used in export column names
+const RESERVED_RATING_ITEM_IDS = ['sessionId', 'surveyId', 'questionId', 'question', 'turn', 'correctness', 'tags', 'groupId', 'ratedAt', 'revision', 'answerToRatingMs']; // fakeAI export columns
+const MAX_RATING_ITEMS = 10;
+const MAX_SCALE_POINTS = 11; // Enough for 0–10
+const DEFAULT_RATING_INSTRUMENT = {
+  items: [{ id: 'rating', label: 'How trustworthy is this answer?', type: 'scale', min: 1, max: 5, required: true }]
+};
+
+// Consent forms (key: surveyId + version) and participants' decisions (key: surveyId + recordId, recordId = sessionId#version)
+const CONSENT_FORMS_TABLE = process.env.CONSENT_FORMS_TABLE || 'ConsentForms';
+const CONSENT_RECORDS_TABLE = process.env.CONSENT_RECORDS_TABLE || 'ConsentRecords';
+const CONSENT_DECISIONS = ['accepted', 'declined'];
+
+// Version 0 is the original one-line consent text, used until a researcher publishes a form
+const DEFAULT_CONSENT_TEXT = 'This study is part of ongoing research. Do you consent to participate?';
+
+// Why a survey is closed, in the order they are checked
+const CLOSED_REASONS = {
+  MANUAL: 'manually-closed',
+  NOT_YET_OPEN: 'not-yet-open',
+  EXPIRED: 'expired',
+  QUOTA: 'quota-reached',
+};
 
 exports.handler = async (event) => {
   const method = event.httpMethod || event.requestContext?.http?.method;
+  const rawPath = event.path || event.requestContext?.http?.path || '';
 
   // CORS and content headers — adjust to restrict origins in production
   const headers = {
@@ -26,41 +117,247 @@ exports.handler = async (event) => {
   };
 
   try {
-    // === GET: Retrieve current survey open/closed status ===
-    // You may want to include last modified timestamp in the future
-    if (method === 'GET') {
-      const command = new GetCommand({
-        TableName: TABLE_NAME,
-        Key: { surveyId: SURVEY_ID }
-      });
+    // === GET /survey-status/consent/records: Consent log for export, with counts ===
+    if (method === 'GET' && rawPath.endsWith('/consent/records')) {
+      const surveyId = event.queryStringParameters?.surveyId || DEFAULT_SURVEY_ID;
+      const records = latestDecisions(await queryAll(CONSENT_RECORDS_TABLE, surveyId));
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          surveyId,
+          accepted: records.filter(r => r.decision === 'accepted').length,
+          declined: records.filter(r => r.decision === 'declined').length,
+          records
+        })
+      };
+    }
+
+    // === POST /survey-status/consent/records: Store one participant's accept/decline ===
+    // Stored with the exact version shown, so later edits to the form do not change what was agreed to.
+    // One record per session and version holding the latest decision; a changed decision (declined, then
+    // accepted in the same tab) moves the earlier one into `history`. A repeat of the same decision (e.g. after
+    // a page reload) leaves the record unchanged.
+    else if (method === 'POST' && rawPath.endsWith('/consent/records')) {
+      const body = JSON.parse(event.body || '{}');
+      const surveyId = body.surveyId || DEFAULT_SURVEY_ID;
+      const version = Number(body.version);
+
+      let message = null;
+      if (!body.sessionId || typeof body.sessionId !== 'string') message = 'sessionId is required';
+      else if (!CONSENT_DECISIONS.includes(body.decision)) message = `decision must be one of ${CONSENT_DECISIONS.join(', ')}`;
+      else if (!(await getConsentForm(surveyId, version))) message = `No consent form version ${body.version} for survey ${surveyId}`;
+      if (message) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ message })
+        };
+      }
+
+      const { record, changed } = await storeConsentDecision(surveyId, body.sessionId, version, body.decision);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: changed ? 'Consent recorded' : 'Consent already recorded', ...record })
+      };
+    }
+
+    // === GET /survey-status/consent/versions: Every published version, newest first ===
+    else if (method === 'GET' && rawPath.endsWith('/consent/versions')) {
+      const surveyId = event.queryStringParameters?.surveyId || DEFAULT_SURVEY_ID;
+      const versions = (await queryAll(CONSENT_FORMS_TABLE, surveyId)).sort((a, b) => b.version - a.version);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(versions.length ? versions : [defaultConsentForm(surveyId)])
+      };
+    }
+
+    // === GET /survey-status/consent: The current consent form, or ?version=N ===
+    else if (method === 'GET' && rawPath.endsWith('/consent')) {
+      const surveyId = event.queryStringParameters?.surveyId || DEFAULT_SURVEY_ID;
+      const version = event.queryStringParameters?.version;
+      const form = version === undefined
+        ? await getLatestConsentForm(surveyId)
+        : await getConsentForm(surveyId, Number(version));
+
+      if (!form) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ message: `No consent form version ${version} for survey ${surveyId}` })
+        };
+      }
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(form)
+      };
+    }
+
+    // === POST /survey-status/consent: Publish a new version of the consent form ===
+    // Versions are never overwritten; the conditional put fails if two researchers publish at once
+    else if (method === 'POST' && rawPath.endsWith('/consent')) {
+      const body = JSON.parse(event.body || '{}');
+      const surveyId = body.surveyId || DEFAULT_SURVEY_ID;
+      if (typeof body.text !== 'string' || !body.text.trim()) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ message: 'text is required' })
+        };
+      }
+
+      const latest = await getLatestConsentForm(surveyId);
+      const form = {
+        surveyId,
+        version: latest.version + 1,
+        text: body.text,
+        createdBy: typeof body.createdBy === 'string' ? body.createdBy : '',
+        createdAt: new Date().toISOString()
+      };
+      try {
+        await docClient.send(new PutCommand({
+          TableName: CONSENT_FORMS_TABLE,
+          Item: form,
+          ConditionExpression: 'attribute_not_exists(version)'
+        }));
+      } catch (err) {
+        if (err.name !== 'ConditionalCheckFailedException') throw err;
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ message: 'Another version was published at the same time — reload and try again' })
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Consent form published', ...form })
+      };
+    }
+
+    // === GET /survey-status/all: List every survey and its state ===
+    // If the number of surveys grows large, add pagination via LastEvaluatedKey
+    else if (method === 'GET' && rawPath.endsWith('/all')) {
+      const [{ Items }, counters] = await Promise.all([
+        docClient.send(new ScanCommand({ TableName: TABLE_NAME })),
+        docClient.send(new ScanCommand({ TableName: COUNTER_TABLE })),
+      ]);
+      const countByKey = new Map((counters.Items || []).map(c => [c.totalSurveys, c.count ?? 0]));
+
+      const surveys = (Items || [])
+        .map(item => toStatus(item, countByKey.get(counterKeyFor(item.surveyId)) ?? 0))
+        .sort((a, b) => a.surveyId.localeCompare(b.surveyId));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(surveys)
+      };
+    }
+
+    // === GET: Retrieve one survey's open/closed status ===
+    else if (method === 'GET') {
+      const surveyId = event.queryStringParameters?.surveyId || DEFAULT_SURVEY_ID;
+      const [{ Item }, responseCount] = await Promise.all([
+        docClient.send(new GetCommand({ TableName: TABLE_NAME, Key: { surveyId } })),
+        getResponseCount(surveyId),
+      ]);
 
-      const { Item } = await docClient.send(command);
       // If Item doesn't exist yet, assume survey is closed
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ isOpen: Item?.isOpen ?? false })
+        body: JSON.stringify(toStatus(Item || { surveyId }, responseCount))
       };
     }
 
-    // === POST: Update survey open/closed state ===
+    // === POST: Update the manual switch and/or the schedule ===
+    // Creates the survey's row on first use, so this is also how a new survey is added
+    // Fields left out of the body are not changed; null clears opensAt/closesAt/maxResponses
     // If you later restrict this action to admins only, apply an auth check before this block
     else if (method === 'POST') {
-      const { isOpen } = JSON.parse(event.body);
+      const body = JSON.parse(event.body || '{}');
+      const surveyId = body.surveyId || DEFAULT_SURVEY_ID;
 
-      const command = new UpdateCommand({
-        TableName: TABLE_NAME,
-        Key: { surveyId: SURVEY_ID },
-        UpdateExpression: "SET isOpen = :s",
-        ExpressionAttributeValues: { ":s": isOpen }
-      });
+      // Validate against the stored row so a partial update cannot leave opensAt after closesAt
+      const { Item: existing } = await docClient.send(new GetCommand({ TableName: TABLE_NAME, Key: { surveyId } }));
+      const validationError = validateUpdate({ ...(existing || {}), ...body }) || await validateQuestionnaires(body);
+      if (validationError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ message: validationError })
+        };
+      }
+
+      const sets = ['updatedAt = :u'];
+      const removes = [];
+      const values = { ':u': new Date().toISOString() };
 
-      await docClient.send(command);
+      if ('isOpen' in body) {
+        sets.push('isOpen = :s');
+        values[':s'] = body.isOpen;
+      }
+      if ('ratingPolicy' in body) {
+        sets.push('ratingPolicy = :rp');
+        values[':rp'] = body.ratingPolicy;
+      }
+      if ('completionPolicy' in body) {
+        sets.push('completionPolicy = :cp');
+        values[':cp'] = body.completionPolicy;
+      }
+      if ('promptInput' in body) {
+        sets.push('promptInput = :pi');
+        values[':pi'] = body.promptInput;
+      }
+      if ('fallbackAnswer' in body) {
+        if (body.fallbackAnswer === null || !body.fallbackAnswer.trim()) {
+          removes.push('fallbackAnswer');
+        } else {
+          sets.push('fallbackAnswer = :fa');
+          values[':fa'] = body.fallbackAnswer.trim();
+        }
+      }
+      if ('questionOrder' in body) {
+        sets.push('questionOrder = :qo');
+        values[':qo'] = body.questionOrder;
+      }
+      if ('ratingInstrument' in body) {
+        if (body.ratingInstrument === null) {
+          removes.push('ratingInstrument');
+        } else {
+          sets.push('ratingInstrument = :ri');
+          values[':ri'] = normalizeInstrument(body.ratingInstrument);
+        }
+      }
+      for (const field of ['opensAt', 'closesAt', 'maxResponses', 'minRatings', 'orderBlockSize', ...QUESTIONNAIRE_FIELDS]) {
+        if (!(field in body)) continue;
+        if (body[field] === null || body[field] === '') {
+          removes.push(field);
+        } else {
+          sets.push(`${field} = :${field}`);
+          values[`:${field}`] = ['maxResponses', 'minRatings', 'orderBlockSize'].includes(field) ? Number(body[field])
+            : QUESTIONNAIRE_FIELDS.includes(field) ? body[field]
+            : new Date(body[field]).toISOString();
+        }
+      }
+
+      const { Attributes } = await docClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { surveyId },
+        UpdateExpression: `SET ${sets.join(', ')}${removes.length ? ` REMOVE ${removes.join(', ')}` : ''}`,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      }));
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ message: 'Updated', isOpen })
+        body: JSON.stringify({ message: 'Updated', ...toStatus(Attributes, await getResponseCount(surveyId)) })
       };
     }
 
@@ -82,3 +379,270 @@ exports.handler = async (event) => {
     };
   }
 };
+
+// === Validate a POST body; returns an error message or null ===
+function validateUpdate(body) {
+  if ('isOpen' in body && typeof body.isOpen !== 'boolean') return 'isOpen must be true or false';
+  if ('ratingPolicy' in body && !RATING_POLICIES.includes(body.ratingPolicy)) {
+    return `ratingPolicy must be one of ${RATING_POLICIES.join(', ')}`;
+  }
+
+  for (const field of ['opensAt', 'closesAt']) {
+    const value = body[field];
+    if (value && Number.isNaN(Date.parse(value))) return `${field} must be an ISO date-time`;
+  }
+  if (body.opensAt && body.closesAt && Date.parse(body.opensAt) >= Date.parse(body.closesAt)) {
+    return 'opensAt must be before closesAt';
+  }
+
+  for (const field of ['maxResponses', 'minRatings', 'orderBlockSize']) {
+    const value = body[field];
+    if (value !== undefined && value !== null && value !== '' && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+      return `${field} must be a positive whole number`;
+    }
+  }
+
+  if ('completionPolicy' in body && !COMPLETION_POLICIES.includes(body.completionPolicy)) {
+    return `completionPolicy must be one of ${COMPLETION_POLICIES.join(', ')}`;
+  }
+  if (body.completionPolicy === 'minimum' && !body.minRatings) {
+    return 'minRatings is required when completionPolicy is "minimum"';
+  }
+  if ('questionOrder' in body && !QUESTION_ORDERS.includes(body.questionOrder)) {
+    return `questionOrder must be one of ${QUESTION_ORDERS.join(', ')}`;
+  }
+  if (body.questionOrder === 'blocked' && !body.orderBlockSize) {
+    return 'orderBlockSize is required when questionOrder is "blocked"';
+  }
+  if ('promptInput' in body && !PROMPT_INPUTS.includes(body.promptInput)) {
+    return `promptInput must be one of ${PROMPT_INPUTS.join(', ')}`;
+  }
+  if (body.fallbackAnswer !== undefined && body.fallbackAnswer !== null) {
+    if (typeof body.fallbackAnswer !== 'string') return 'fallbackAnswer must be text';
+    if (body.fallbackAnswer.length > MAX_FALLBACK_ANSWER_LENGTH) {
+      return `fallbackAnswer can be at most ${MAX_FALLBACK_ANSWER_LENGTH} characters`;
+    }
+  }
+  if (body.ratingInstrument) return validateInstrument(body.ratingInstrument);
+  return null;
+}
+
+// === Check a rating instrument; returns an error message or null ===
+function validateInstrument(instrument) {
+  const items = instrument.items;
+  if (!Array.isArray(items) || items.length === 0) return 'ratingInstrument needs at least one item';
+  if (items.length > MAX_RATING_ITEMS) return `ratingInstrument can have at most ${MAX_RATING_ITEMS} items`;
+
+  const ids = new Set();
+  for (const item of items) {
+    if (!RATING_ITEM_ID_PATTERN.test(item.id || '')) {
+      return `Rating item ID "${item.id || ''}" must start with a letter and contain only letters and digits`;
+    }
+    if (RESERVED_RATING_ITEM_IDS.includes(item.id)) return `Rating item ID "${item.id}" is reserved`;
+    if (ids.has(item.id)) return `Duplicate rating item ID "${item.id}"`;
+    ids.add(item.id);
+
+    if (!String(item.label || '').trim()) return `Rating item "${item.id}" needs a label`;
+    if (!RATING_ITEM_TYPES.includes(item.type)) {
+      return `Rating item "${item.id}": type must be one of ${RATING_ITEM_TYPES.join(', ')}`;
+    }
+    if (item.type === 'scale') {
+      const min = Number(item.min);
+      const max = Number(item.max);
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min >= max) {
+        return `Rating item "${item.id}": min and max must be whole numbers with 0 <= min < max`;
+      }
+      if (max - min + 1 > MAX_SCALE_POINTS) return `Rating item "${item.id}" can have at most ${MAX_SCALE_POINTS} points`;
+    }
+  }
+  return null;
+}
+
+// Keep only the fields fakeAI and SimulatedAIPage use
+function normalizeInstrument(instrument) {
+  return {
+    items: instrument.items.map(item => ({
+      id: item.id,
+      label: String(item.label).trim(),
+      type: item.type,
+      ...(item.type === 'scale' ? { min: Number(item.min), max: Number(item.max) } : {}),
+      required: item.required !== false
+    }))
+  };
+}
+
+// === Check that linked pre/post questionnaires exist, are not archived and have questions; returns an error message or null ===
+async function validateQuestionnaires(body) {
+  for (const field of QUESTIONNAIRE_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') return `${field} must be a survey ID`;
+
+    // Surveys saved before the Surveys table existed only have question rows, so either counts
+    const [{ Item }, { Items: questions = [] }] = await Promise.all([
+      docClient.send(new GetCommand({ TableName: SURVEYS_TABLE, Key: { surveyId: value } })),
+      docClient.send(new QueryCommand({
+        TableName: QUESTIONS_TABLE,
+        KeyConditionExpression: 'surveyId = :s',
+        ExpressionAttributeValues: { ':s': value },
+        Limit: 1
+      }))
+    ]);
+    if (!Item && !questions.length) return `${field}: no survey found with ID ${value}`;
+    if (Item?.status === 'archived') return `${field}: survey ${value} is archived`;
+    if (!questions.length) return `${field}: survey ${value} has no questions`;
+  }
+  return null;
+}
+
+// === Consent form lookups ===
+async function getConsentForm(surveyId, version) {
+  if (version === 0) return defaultConsentForm(surveyId);
+  if (!Number.isInteger(version)) return null;
+  const { Item } = await docClient.send(new GetCommand({ TableName: CONSENT_FORMS_TABLE, Key: { surveyId, version } }));
+  return Item || null;
+}
+
+async function getLatestConsentForm(surveyId) {
+  const { Items } = await docClient.send(new QueryCommand({
+    TableName: CONSENT_FORMS_TABLE,
+    KeyConditionExpression: 'surveyId = :s',
+    ExpressionAttributeValues: { ':s': surveyId },
+    ScanIndexForward: false,
+    Limit: 1
+  }));
+  return Items?.[0] || defaultConsentForm(surveyId);
+}
+
+function defaultConsentForm(surveyId) {
+  return { surveyId, version: 0, text: DEFAULT_CONSENT_TEXT, createdBy: '', createdAt: null };
+}
+
+// === Store a participant's decision on one consent version ===
+// The update is conditional on the decision read, so two concurrent changes cannot both append to history.
+// Returns the stored record and whether this request changed it.
+async function storeConsentDecision(surveyId, sessionId, version, decision) {
+  const key = { surveyId, recordId: `${sessionId}#${version}` };
+  const { Item: existing } = await docClient.send(new GetCommand({ TableName: CONSENT_RECORDS_TABLE, Key: key }));
+  if (existing?.decision === decision) return { record: existing, changed: false };
+
+  const decidedAt = new Date().toISOString();
+  try {
+    if (!existing) {
+      const record = { ...key, sessionId, version, decision, decidedAt, history: [] };
+      await docClient.send(new PutCommand({
+        TableName: CONSENT_RECORDS_TABLE,
+        Item: record,
+        ConditionExpression: 'attribute_not_exists(recordId)'
+      }));
+      return { record, changed: true };
+    }
+
+    const { Attributes: record } = await docClient.send(new UpdateCommand({
+      TableName: CONSENT_RECORDS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET decision = :d, decidedAt = :at, history = list_append(if_not_exists(history, :empty), :previous)',
+      ConditionExpression: 'decision = :old',
+      ExpressionAttributeValues: {
+        ':d': decision,
+        ':at': decidedAt,
+        ':old': existing.decision,
+        ':empty': [],
+        ':previous': [{ decision: existing.decision, decidedAt: existing.decidedAt }]
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return { record, changed: true };
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+    // Another request for this session and version got there first — decide against what it stored
+    return storeConsentDecision(surveyId, sessionId, version, decision);
+  }
+}
+
+// === Latest decision per session and consent version, with earlier changes in `history` ===
+// Records stored before they were keyed by session (recordId `${decidedAt}#${sessionId}`) are one row per
+// decision, so they are merged here. Repeats of the same decision (page reloads) are not changes.
+function latestDecisions(records) {
+  const bySession = new Map();
+  for (const r of records) {
+    const key = `${r.sessionId}#${r.version}`;
+    if (!bySession.has(key)) bySession.set(key, { record: r, decisions: [] });
+    bySession.get(key).decisions.push(...(r.history || []), { decision: r.decision, decidedAt: r.decidedAt });
+  }
+
+  return [...bySession.values()]
+    .map(({ record, decisions }) => {
+      const changes = decisions
+        .sort((a, b) => a.decidedAt.localeCompare(b.decidedAt))
+        .filter((d, i, all) => i === 0 || d.decision !== all[i - 1].decision);
+      const { decision, decidedAt } = changes[changes.length - 1];
+      return { ...record, decision, decidedAt, history: changes.slice(0, -1) };
+    })
+    .sort((a, b) => a.decidedAt.localeCompare(b.decidedAt));
+}
+
+// === All items for one surveyId partition, following pagination ===
+async function queryAll(tableName, surveyId) {
+  const items = [];
+  let lastKey;
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: tableName,
+      KeyConditionExpression: 'surveyId = :s',
+      ExpressionAttributeValues: { ':s': surveyId },
+      ExclusiveStartKey: lastKey
+    }));
+    items.push(...(page.Items || []));
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+// === Completion count for a survey, as kept by incrementsurveycounter ===
+async function getResponseCount(surveyId) {
+  const { Item } = await docClient.send(new GetCommand({
+    TableName: COUNTER_TABLE,
+    Key: { totalSurveys: counterKeyFor(surveyId) }
+  }));
+  return Item?.count ?? 0;
+}
+
+// The default survey keeps using the original global counter row
+function counterKeyFor(surveyId) {
+  return surveyId === DEFAULT_SURVEY_ID ? DEFAULT_COUNTER_KEY : surveyId;
+}
+
+// === Shape a SurveyStatus row for the API, computing the effective state ===
+function toStatus(item, responseCount, now = new Date().toISOString()) {
+  const isManuallyOpen = item.isOpen ?? false;
+  const maxResponses = item.maxResponses ?? null;
+
+  let closedReason = null;
+  if (!isManuallyOpen) closedReason = CLOSED_REASONS.MANUAL;
+  else if (item.opensAt && now < item.opensAt) closedReason = CLOSED_REASONS.NOT_YET_OPEN;
+  else if (item.closesAt && now >= item.closesAt) closedReason = CLOSED_REASONS.EXPIRED;
+  else if (maxResponses !== null && responseCount >= maxResponses) closedReason = CLOSED_REASONS.QUOTA;
+
+  return {
+    surveyId: item.surveyId,
+    isOpen: closedReason === null,
+    isManuallyOpen,
+    closedReason,
+    opensAt: item.opensAt ?? null,
+    closesAt: item.closesAt ?? null,
+    maxResponses,
+    responseCount,
+    preSurveyId: item.preSurveyId ?? null,
+    ratingPolicy: item.ratingPolicy ?? DEFAULT_RATING_POLICY,
+    completionPolicy: item.completionPolicy ?? DEFAULT_COMPLETION_POLICY,
+    minRatings: item.minRatings ?? null,
+    ratingInstrument: item.ratingInstrument ?? DEFAULT_RATING_INSTRUMENT,
+    questionOrder: item.questionOrder ?? DEFAULT_QUESTION_ORDER,
+    orderBlockSize: item.orderBlockSize ?? null,
+    promptInput: item.promptInput ?? DEFAULT_PROMPT_INPUT,
+    fallbackAnswer: item.fallbackAnswer ?? DEFAULT_FALLBACK_ANSWER,
+    postSurveyId: item.postSurveyId ?? null,
+    updatedAt: item.updatedAt ?? null
+  };
+}
@@ -2,13 +2,51 @@
 // Supports multiple routes for fetching questions, simulating AI answers, storing ratings, and retrieving summaries
 
 const { DynamoDBClient, ScanCommand } = require("@aws-sdk/client-dynamodb");
-const { DynamoDBDocumentClient, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  ScanCommand: DocScanCommand
+} = require("@aws-sdk/lib-dynamodb");
+const { randomUUID } = require("crypto");
+const { repeatRatingAction, validateRatings } = require("./ratings");
+const { inStoredOrder, seededShuffle, williamsRow } = require("./ordering");
+const { bestMatch } = require("./matching");
 
 // === Configuration ===
 // If deployed in another region or renamed tables, update accordingly
 const REGION = "us-east-2";
 const GROUPS_TABLE = "Groups";          // Contains the question sets configured by researchers
-const RESPONSES_TABLE = "Responses";    // Stores ratings submitted by users
+const RATING_RECORDS_TABLE = "RatingRecords"; // One item per participant per question (key: sessionId + ratingId, ratingId = questionId)
+const LEGACY_RESPONSES_TABLE = "Responses";   // Pre-record rating counters, re-keyed by migrateQuestionIds.js
+const ASSIGNMENTS_TABLE = "Assignments";      // Participant -> group (experimental condition) and question order, key: sessionId
+const SESSIONS_TABLE = "Sessions";            // Participant sessions created by incrementsurveycounter, key: sessionId
+const SESSION_EVENTS_TABLE = "SessionEvents"; // One item per logged ask/prompt/display/rate, key: sessionId + eventId
+const SURVEY_STATUS_TABLE = "SurveyStatus";   // Per-study settings from SurveyStatusHandler, key: surveyId
+const DEFAULT_RATING_POLICY = "overwrite";    // Must match SurveyStatusHandler
+const DEFAULT_SURVEY_ID = "my-survey";        // Study of sessions/records from before studies were tracked
+// The original 1–5 star trust rating; its item id "rating" keeps the rating1..rating5 export columns. Must match SurveyStatusHandler
+const DEFAULT_RATING_INSTRUMENT = {
+  items: [{ id: "rating", label: "How trustworthy is this answer?", type: "scale", min: 1, max: 5, required: true }]
+};
+const DEFAULT_QUESTION_ORDER = "fixed";       // Must match SurveyStatusHandler
+
+// Answer reveal defaults for questions that leave a parameter empty — modes must match GroupConfigLambda
+const REVEAL_MODES = ["instant", "typewriter", "chunks"];
+const RATING_SCOPES = ["conversation", "turn"];      // Must match GroupConfigLambda
+const CORRECTNESS_VALUES = ["correct", "subtly-wrong", "blatantly-wrong"]; // Must match GroupConfigLambda
+const DEFAULT_REVEAL = { charsPerSecond: 40, wordsPerChunk: 3, chunkIntervalMs: 250 };
+
+// Free-text prompts (/prompt) — the fallback text must match SurveyStatusHandler
+const DEFAULT_FALLBACK_ANSWER = "I'm sorry, I can't help with that. Try asking about one of the topics in this study.";
+const FALLBACK_DELAY_MS = 1000;
+const MAX_PROMPT_LENGTH = 1000;
+
+// Reserved keys — must match GroupConfigLambda
+const ASSIGNMENT_SETTINGS_KEY = "ASSIGNMENT"; // Row in GROUPS_TABLE holding the assignment mode
+const ASSIGNMENT_COUNTER_KEY = "COUNTER";     // Row in ASSIGNMENTS_TABLE counting assignments made
+const ORDER_COUNTER_PREFIX = "ORDER_COUNTER#"; // Rows in ASSIGNMENTS_TABLE counting Latin-square rows handed out, per study and group
 
 const lowClient = new DynamoDBClient({ region: REGION });
 const docClient = DynamoDBDocumentClient.from(lowClient);
@@ -27,21 +65,48 @@ exports.handler = async (event) => {
 
   try {
     if (method === "GET" && rawPath === "/fixed-questions") {
-      return successRes(await getQuestionsAllRows());
+      const { sessionId } = event.queryStringParameters || {};
+      return successRes(await getParticipantQuestions(sessionId));
+    }
+
+    if (method === "POST" && rawPath === "/assign") {
+      const { sessionId } = JSON.parse(event.body || "{}");
+      if (!sessionId) return badRequest("Missing sessionId");
+      return successRes(await getOrAssignGroup(sessionId));
     }
 
     if (method === "POST" && rawPath === "/ask") {
-      const { questionId, phase } = JSON.parse(event.body || "{}");
-      return successRes(await handleAsk(questionId, phase));
+      const { questionId, phase, sessionId, turn } = JSON.parse(event.body || "{}");
+      return successRes(await handleAsk(questionId, phase, sessionId, turn));
+    }
+
+    if (method === "POST" && rawPath === "/prompt") {
+      const res = await handlePrompt(JSON.parse(event.body || "{}"));
+      if (res.invalid) return badRequest(res.message);
+      return successRes(res);
+    }
+
+    if (method === "POST" && rawPath === "/displayed") {
+      const res = await handleDisplayed(JSON.parse(event.body || "{}"));
+      if (res.invalid) return badRequest(res.message);
+      return successRes(res);
     }
 
     if (method === "POST" && rawPath === "/rate") {
-      const { questionId, rating } = JSON.parse(event.body || "{}");
-      return successRes(await handleRate(questionId, rating));
+      const res = await handleRate(JSON.parse(event.body || "{}"));
+      if (res.conflict) return conflict(res.message);
+      if (res.invalid) return badRequest(res.message);
+      return successRes(res);
     }
 
     if (method === "GET" && rawPath === "/ratings") {
-      return successRes(await getAllRatings());
+      const { surveyId } = event.queryStringParameters || {};
+      return successRes(await getAllRatings(surveyId));
+    }
+
+    if (method === "GET" && rawPath === "/ratings/records") {
+      const { surveyId } = event.queryStringParameters || {};
+      return successRes(await getRatingRecords(surveyId));
     }
 
     return notFound(`Route not found for ${method} ${rawPath}`);
@@ -53,12 +118,13 @@ exports.handler = async (event) => {
 };
 
 // === Retrieve and flatten all group-based questions from GROUPS_TABLE ===
-// Each row is converted to a question with groupId, style settings, and ID assigned
+// Each row is converted to a question with groupId, style settings, and its persistent ID
+// IDs are assigned by GroupConfigLambda on save; rows saved before that get a positional fallback
+// until migrateQuestionIds.js has been run
 // If the group structure or schema changes (e.g. new field or nested format), modify parsing logic here
 async function getQuestionsAllRows() {
   const allItems = (await lowClient.send(new ScanCommand({ TableName: GROUPS_TABLE }))).Items ?? [];
   const flat = [];
-  let nextId = 1;
 
   for (const itm of allItems) {
     const groupId = itm.groupId?.S ?? "";
@@ -70,100 +136,684 @@ async function getQuestionsAllRows() {
       try { arr = JSON.parse(itm.questionsJson.S); } catch (e) { console.error("JSON parse", e); }
     }
 
-    (arr || []).forEach(obj => flat.push({
-      assignedId: nextId++,
-      question: obj.question ?? "",
-      preAnswer: obj.preAnswer ?? "Thinking...",
-      answer: obj.answer ?? "",
-      delay: obj.delay ?? "1",
-      groupId, colorScheme, fontFace
-    }));
+    (arr || []).forEach((obj, index) => {
+      // GroupSettings edits style per question; the group row's style is the default for older rows
+      const questionColor = obj.colorScheme || colorScheme;
+      const questionFont = obj.fontFace || fontFace;
+      flat.push({
+        questionId: obj.id || `legacy-${groupId}-${index}`,
+        question: obj.question ?? "",
+        preAnswer: obj.preAnswer ?? "Thinking...",
+        answer: obj.answer ?? "",
+        delay: obj.delay ?? "1",
+        reveal: toReveal(obj),
+        keywords: toList(obj.keywords),
+        answerMeta: toAnswerMeta(obj),
+        // Scripted follow-ups after the opening question/answer; styling falls back to the question's
+        turns: (Array.isArray(obj.turns) ? obj.turns : []).map(t => ({
+          prompt: t.prompt ?? "",
+          preAnswer: t.preAnswer ?? "Thinking...",
+          answer: t.answer ?? "",
+          delay: t.delay ?? "1",
+          reveal: toReveal(t),
+          colorScheme: t.colorScheme || questionColor,
+          fontFace: t.fontFace || questionFont,
+          answerMeta: toAnswerMeta(t)
+        })),
+        ratingScope: RATING_SCOPES.includes(obj.ratingScope) ? obj.ratingScope : "conversation",
+        groupId,
+        colorScheme: questionColor,
+        fontFace: questionFont
+      });
+    });
   }
 
   allDbQuestions = flat;
 
   // If frontend expects a specific structure, maintain shape here
+  // Never include answerMeta — participants must not see how an answer was manipulated
   return flat.map(q => ({
-    id: q.assignedId,
-    question: q.question
+    id: q.questionId,
+    question: q.question,
+    ratingIds: ratingIdsOf(q)
   }));
 }
 
+// === The ratingIds a participant can rate for a question (see handleRate) ===
+// One for the whole conversation, or one per turn (`${questionId}#${turn}`) when ratingScope is "turn"
+function ratingIdsOf(dbQ) {
+  if (dbQ.ratingScope !== "turn") return [dbQ.questionId];
+  return [dbQ, ...dbQ.turns].map((_, turn) => `${dbQ.questionId}#${turn}`);
+}
+
+// === Reveal timing SimulatedAIPage uses to animate the final answer ===
+// Only the parameters of the chosen mode are included
+function toReveal(obj) {
+  const mode = REVEAL_MODES.includes(obj.revealMode) ? obj.revealMode : "instant";
+  const param = field => Number(obj[field]) > 0 ? Number(obj[field]) : DEFAULT_REVEAL[field];
+  if (mode === "typewriter") return { mode, charsPerSecond: param("charsPerSecond") };
+  if (mode === "chunks") return { mode, wordsPerChunk: param("wordsPerChunk"), chunkIntervalMs: param("chunkIntervalMs") };
+  return { mode };
+}
+
+// Keywords and tags are saved by GroupSettings as comma-separated text; each may be a phrase
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map(k => String(k).trim()).filter(Boolean);
+}
+
+// === Researcher-only metadata about a scripted answer (question or turn) ===
+// correctness: "correct" | "subtly-wrong" | "blatantly-wrong" | null (not set); tags: e.g. ["hedged", "confident tone"]
+// Copied onto rating records and included in the ratings exports; never returned by the participant routes
+function toAnswerMeta(obj) {
+  return {
+    correctness: CORRECTNESS_VALUES.includes(obj.correctness) ? obj.correctness : null,
+    tags: toList(obj.tags)
+  };
+}
+
+// === Questions visible to one participant ===
+// With a sessionId, only the participant's assigned group is served (assigning one on first visit),
+// in the order set by the study's questionOrder (SurveyStatusHandler):
+//   - "fixed":        the order configured in GroupSettings
+//   - "random":       shuffled per participant
+//   - "latin-square": the next row of a balanced Latin square (Williams design), counted per study and group
+//   - "blocked":      consecutive blocks of orderBlockSize questions, shuffled within each block
+// The served question IDs are saved on the participant's ASSIGNMENTS_TABLE row in the order shown (with the mode
+// and Latin-square row), so completion can be checked against them and analysis can control for position.
+// That row always exists once a group is assigned, unlike the session row, so a reload never draws a new order.
+// A returning participant gets the stored order again; questions added since are appended, and the stored
+// order and ratingIds are extended to match.
+// Without a sessionId, every question is returned in the configured order — useful for researcher previews
+async function getParticipantQuestions(sessionId) {
+  const all = await getQuestionsAllRows();
+  if (!sessionId) return all;
+
+  const { groupId } = await getOrAssignGroup(sessionId);
+  const inGroup = new Set(allDbQuestions.filter(q => q.groupId === groupId).map(q => q.questionId));
+  const served = all.filter(q => inGroup.has(q.id));
+
+  const study = await getStudySettings(sessionId);
+  const stored = await getStoredOrder(sessionId, study.session);
+  if (stored) return serveStoredOrder(sessionId, served, stored);
+
+  const { order, latinSquareRow } = await orderQuestions(served, study, sessionId, groupId);
+  const saved = await storeQuestionOrder(sessionId, {
+    questionIds: order.map(q => q.id),
+    ratingIds: order.flatMap(q => q.ratingIds), // What the "all" completion policy requires (incrementsurveycounter)
+    questionOrder: study.questionOrder,
+    ...(latinSquareRow !== undefined ? { latinSquareRow } : {})
+  });
+  // A concurrent first load stored its order first — serve that one so every request agrees
+  return saved ? order : inStoredOrder(served, (await getStoredOrder(sessionId)).questionIds);
+}
+
+// === The order stored for a participant ({ questionIds, ratingIds }), or null if none was stored yet ===
+// Orders assigned before they moved to ASSIGNMENTS_TABLE are still on the session row, without ratingIds
+async function getStoredOrder(sessionId, session) {
+  const { Item } = await docClient.send(new GetCommand({
+    TableName: ASSIGNMENTS_TABLE,
+    Key: { sessionId: String(sessionId) }
+  }));
+  if (Item?.questionIds) return Item;
+  return session?.questionOrder ? { questionIds: session.questionIds || [], fromSession: true } : null;
+}
+
+// === Serve a stored order, first appending questions added to the group since it was stored ===
+// The appended IDs are stored too, so the completion check (incrementsurveycounter reads ratingIds) and the
+// recorded positions match what the participant is shown. Removed questions stay in the stored order.
+async function serveStoredOrder(sessionId, served, stored) {
+  const known = new Set(stored.questionIds);
+  const added = served.filter(q => !known.has(q.id));
+  if (added.length) {
+    const ratingIdsOfId = id => served.find(q => q.id === id)?.ratingIds || [id];
+    await storeQuestionOrder(sessionId, {
+      questionIds: [...stored.questionIds, ...added.map(q => q.id)],
+      ratingIds: [...(stored.ratingIds || stored.questionIds.flatMap(ratingIdsOfId)), ...added.flatMap(q => q.ratingIds)]
+    }, stored.fromSession ? undefined : stored.questionIds.length);
+    // If another request extended the order first, it appended the same questions
+  }
+  return inStoredOrder(served, stored.questionIds);
+}
+
+// === Save a participant's question order on their assignment row ===
+// Without storedCount only if no order is stored yet; with it, only if the stored order still has that many
+// questions (orders only grow). Returns false when another request changed the stored order first
+async function storeQuestionOrder(sessionId, fields, storedCount) {
+  const names = {};
+  const values = {};
+  const sets = Object.keys(fields).map((field, i) => {
+    names[`#f${i}`] = field;
+    values[`:v${i}`] = fields[field];
+    return `#f${i} = :v${i}`;
+  });
+  let condition = "attribute_exists(sessionId) AND attribute_not_exists(questionIds)";
+  if (storedCount !== undefined) {
+    names["#ids"] = "questionIds";
+    values[":count"] = storedCount;
+    condition = "size(#ids) = :count";
+  }
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: ASSIGNMENTS_TABLE,
+      Key: { sessionId: String(sessionId) },
+      UpdateExpression: `SET ${sets.join(", ")}`,
+      ConditionExpression: condition,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }));
+    return true;
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    return false;
+  }
+}
+
+// === Apply the study's ordering mode to one participant's questions ===
+async function orderQuestions(questions, study, sessionId, groupId) {
+  if (study.questionOrder === "random") {
+    return { order: seededShuffle(questions, `order-${sessionId}`) };
+  }
+  if (study.questionOrder === "blocked") {
+    const size = study.orderBlockSize || questions.length || 1;
+    const order = [];
+    for (let start = 0; start < questions.length; start += size) {
+      order.push(...seededShuffle(questions.slice(start, start + size), `order-${sessionId}-${start / size}`));
+    }
+    return { order };
+  }
+  if (study.questionOrder === "latin-square" && questions.length > 1) {
+    const latinSquareRow = await nextOrderNumber(study.surveyId, groupId);
+    return { order: williamsRow(questions.length, latinSquareRow).map(i => questions[i]), latinSquareRow };
+  }
+  return { order: questions };
+}
+
+// === Atomically take the next 0-based Latin-square row for a study's group ===
+async function nextOrderNumber(surveyId, groupId) {
+  const res = await docClient.send(new UpdateCommand({
+    TableName: ASSIGNMENTS_TABLE,
+    Key: { sessionId: `${ORDER_COUNTER_PREFIX}${surveyId}#${groupId}` },
+    UpdateExpression: "SET assignedCount = if_not_exists(assignedCount, :zero) + :one",
+    ExpressionAttributeValues: { ":zero": 0, ":one": 1 },
+    ReturnValues: "UPDATED_NEW"
+  }));
+  return Number(res.Attributes.assignedCount) - 1;
+}
+
+// === Look up a loaded question by its persistent ID ===
+async function findQuestion(questionId) {
+  if (!allDbQuestions.length) await getQuestionsAllRows();
+  let dbQ = allDbQuestions.find(q => q.questionId === String(questionId));
+  if (!dbQ) {
+    // The cache may predate a recent GroupSettings save — reload once before giving up
+    await getQuestionsAllRows();
+    dbQ = allDbQuestions.find(q => q.questionId === String(questionId));
+  }
+  return dbQ;
+}
+
+// === One turn of a question's scripted conversation; turn 0 is the question itself ===
+function turnOf(dbQ, turn) {
+  if (turn === 0) return dbQ;
+  return dbQ.turns[turn - 1] || null;
+}
+
 // === Simulates AI pre and final responses ===
-// Introduces delay for realism and applies styling
+// Returns immediately: the final answer carries `delayMs`, which SimulatedAIPage waits out itself (counted from
+// when the pre-answer appeared), so the manipulated delay is not stretched by network jitter or limited by
+// API Gateway's timeout. `reveal` tells the page how to animate the answer, and the page reports the latency
+// it actually achieved to /displayed.
+// Questions with scripted follow-ups are asked one `turn` at a time (0 = the opening question); the final
+// answer says how many turns there are and what the participant says next (empty when the AI simply
+// continues, e.g. to correct itself).
 // If switching from simulated to real LLMs, replace this with API integration
-async function handleAsk(questionId, phase = "pre") {
+async function handleAsk(questionId, phase = "pre", sessionId, turn = 0) {
   if (!questionId) return { message: "Missing questionId" };
-  if (!allDbQuestions.length) await getQuestionsAllRows();
-  const dbQ = allDbQuestions.find(q => q.assignedId === questionId);
+  const dbQ = await findQuestion(questionId);
   if (!dbQ) return { message: `No DB question for id ${questionId}` };
+  const step = Number.isInteger(turn) ? turnOf(dbQ, turn) : null;
+  if (!step) return { message: `Question ${questionId} has no turn ${turn}` };
+
+  if (sessionId) {
+    const { groupId } = await getOrAssignGroup(sessionId);
+    if (dbQ.groupId !== groupId) return { message: `Question ${questionId} is not in this participant's group` };
+  }
+
+  if (sessionId) await logSessionEvent(sessionId, { type: "ask", questionId: dbQ.questionId, phase, turn });
 
-  if (phase === "pre") return { preAnswerMessage: dbQ.preAnswer };
+  if (phase === "pre") return { preAnswerMessage: step.preAnswer };
 
-  await sleep(Number(dbQ.delay || 1) * 1000); // Wait before showing final answer
+  const next = dbQ.turns[turn];
   return {
-    finalAnswer: dbQ.answer,
-    colorScheme: dbQ.colorScheme,
-    fontFace: dbQ.fontFace
+    finalAnswer: step.answer,
+    delayMs: Math.round(Number(step.delay || 1) * 1000),
+    reveal: step.reveal,
+    colorScheme: step.colorScheme,
+    fontFace: step.fontFace,
+    turn,
+    turnCount: dbQ.turns.length + 1,
+    nextPrompt: next ? next.prompt : null,
+    ratingScope: dbQ.ratingScope
   };
 }
 
-// === Store a user-submitted rating ===
-// Adds to counter column for selected rating value (1-5)
-// Also stores question text if it's the first rating for that question
-// If modifying how questions are identified or adding multi-group tracking, reflect here
-async function handleRate(questionId, rating) {
-  const r = Number(rating);
-  if (!questionId || !(r >= 1 && r <= 5)) return { message: "Invalid input" };
-
-  const ratingCol = `rating${r}`;
-  const upd = await docClient.send(new UpdateCommand({
-    TableName: RESPONSES_TABLE,
-    Key: { questionId: String(questionId) },
-    UpdateExpression: "ADD #c :one",
-    ExpressionAttributeNames: { "#c": ratingCol },
-    ExpressionAttributeValues: { ":one": 1 },
+// === Match a participant's typed prompt to the closest question in their group ===
+// Returns the matched question (the page then asks for it as if it had been clicked), or the study's
+// fallback answer when nothing scores high enough. The raw prompt, the matched question ID
+// (null for the fallback) and the score are logged on the session.
+async function handlePrompt({ sessionId, prompt }) {
+  const text = String(prompt || "").trim();
+  if (!sessionId || !text) return { message: "Missing sessionId or prompt", invalid: true };
+  if (text.length > MAX_PROMPT_LENGTH) return { message: `Prompts can be at most ${MAX_PROMPT_LENGTH} characters`, invalid: true };
+
+  if (!allDbQuestions.length) await getQuestionsAllRows();
+  const { groupId } = await getOrAssignGroup(sessionId);
+  const { matched, score } = bestMatch(text, allDbQuestions.filter(q => q.groupId === groupId));
+
+  await logSessionEvent(sessionId, { type: "prompt", prompt: text, questionId: matched?.questionId ?? null, score });
+
+  if (matched) return { matched: true, questionId: matched.questionId, question: matched.question, score };
+
+  const study = await getStudySettings(sessionId);
+  return {
+    matched: false,
+    score,
+    finalAnswer: study.fallbackAnswer,
+    delayMs: FALLBACK_DELAY_MS,
+    reveal: { mode: "instant" }
+  };
+}
+
+// === Log when a final answer started appearing on the participant's screen ===
+// delayMs is the target delay the page was given; displayedAfterMs is what it measured between the
+// pre-answer appearing and the final answer starting to reveal; turn is the conversation turn shown (0 = opening answer)
+async function handleDisplayed({ sessionId, questionId, turn = 0, delayMs, displayedAfterMs }) {
+  if (!sessionId || !questionId || !(Number(delayMs) >= 0) || !(Number(displayedAfterMs) >= 0)) {
+    return { message: "Missing sessionId or questionId, or invalid timing", invalid: true };
+  }
+  if (!Number.isInteger(turn) || turn < 0) return { message: "Invalid turn", invalid: true };
+  await logSessionEvent(sessionId, {
+    type: "display",
+    questionId: String(questionId),
+    turn,
+    delayMs: Number(delayMs),
+    displayedAfterMs: Math.round(Number(displayedAfterMs))
+  });
+  return { message: "Display logged" };
+}
+
+// === Condition assignment ===
+// Each participant (sessionId) is assigned to exactly one group and keeps it for the whole session.
+// Modes, configured from GroupSettings and stored in the ASSIGNMENT row of GROUPS_TABLE:
+//   - "round-robin": cycles through groups in groupId order, so group sizes never differ by more than one
+//   - "weighted":    independent random draw using per-group weights (default weight 1, 0 excludes a group)
+//   - "block":       permuted blocks — each block of `blockSize` participants contains every group equally often
+// Only groups that currently have at least one question are eligible.
+async function getOrAssignGroup(sessionId) {
+  const existing = await docClient.send(new GetCommand({
+    TableName: ASSIGNMENTS_TABLE,
+    Key: { sessionId: String(sessionId) }
+  }));
+  if (existing.Item) return { groupId: existing.Item.groupId, mode: existing.Item.mode };
+
+  if (!allDbQuestions.length) await getQuestionsAllRows();
+  const groupIds = [...new Set(allDbQuestions.map(q => q.groupId))]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  if (!groupIds.length) throw new Error("No groups with questions are configured");
+
+  const settings = await getAssignmentSettings();
+  let groupId;
+  if (settings.mode === "weighted") {
+    groupId = pickWeighted(groupIds, settings.weights);
+  } else {
+    const n = await nextAssignmentNumber();
+    groupId = settings.mode === "block"
+      ? pickFromBlock(groupIds, settings.blockSize, n)
+      : groupIds[n % groupIds.length];
+  }
+
+  const item = {
+    sessionId: String(sessionId),
+    groupId,
+    mode: settings.mode,
+    assignedAt: new Date().toISOString()
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: ASSIGNMENTS_TABLE,
+      Item: item,
+      ConditionExpression: "attribute_not_exists(sessionId)"
+    }));
+  } catch (err) {
+    // Two requests for the same participant raced — keep whichever assignment was stored first
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    return getOrAssignGroup(sessionId);
+  }
+
+  return { groupId, mode: settings.mode };
+}
+
+// === Read assignment settings, falling back to round-robin when none are saved ===
+async function getAssignmentSettings() {
+  const res = await docClient.send(new GetCommand({
+    TableName: GROUPS_TABLE,
+    Key: { groupId: ASSIGNMENT_SETTINGS_KEY }
+  }));
+  const item = res.Item || {};
+  return {
+    mode: ["round-robin", "weighted", "block"].includes(item.mode) ? item.mode : "round-robin",
+    blockSize: Number(item.blockSize) || 0,
+    weights: item.weights || {}
+  };
+}
+
+// === Atomically take the next 0-based assignment number ===
+async function nextAssignmentNumber() {
+  const res = await docClient.send(new UpdateCommand({
+    TableName: ASSIGNMENTS_TABLE,
+    Key: { sessionId: ASSIGNMENT_COUNTER_KEY },
+    UpdateExpression: "SET assignedCount = if_not_exists(assignedCount, :zero) + :one",
+    ExpressionAttributeValues: { ":zero": 0, ":one": 1 },
     ReturnValues: "UPDATED_NEW"
   }));
+  return Number(res.Attributes.assignedCount) - 1;
+}
 
-  // If it's the first rating, store the question text for visibility in the dashboard
-  const existingText = upd.Attributes?.question;
-  if (!existingText) {
-    const text = allDbQuestions.find(q => q.assignedId === Number(questionId))?.question || "";
-    if (text) {
-      await docClient.send(new UpdateCommand({
-        TableName: RESPONSES_TABLE,
-        Key: { questionId: String(questionId) },
-        UpdateExpression: "SET #q = if_not_exists(#q, :t)",
-        ExpressionAttributeNames: { "#q": "question" },
-        ExpressionAttributeValues: { ":t": text }
-      }));
-    }
+function pickWeighted(groupIds, weights) {
+  const weighted = groupIds
+    .map(id => ({ id, w: weights[id] === undefined ? 1 : Math.max(0, Number(weights[id]) || 0) }))
+    .filter(g => g.w > 0);
+  if (!weighted.length) throw new Error("All assignment weights are zero");
+
+  let r = Math.random() * weighted.reduce((sum, g) => sum + g.w, 0);
+  for (const g of weighted) {
+    r -= g.w;
+    if (r < 0) return g.id;
+  }
+  return weighted[weighted.length - 1].id;
+}
+
+// Block size is rounded up to a multiple of the group count so every block is balanced.
+// The order inside block k is a shuffle seeded by k, so no per-block state needs storing.
+function pickFromBlock(groupIds, blockSize, n) {
+  const k = groupIds.length;
+  const size = Math.max(k, Math.ceil((blockSize || k) / k) * k);
+  const block = Math.floor(n / size);
+
+  const slots = [];
+  for (let i = 0; i < size; i++) slots.push(groupIds[i % k]);
+  return seededShuffle(slots, `block-${block}`)[n % size];
+}
+
+// === Store a user-submitted rating ===
+// `ratings` holds one value per item of the study's rating instrument (SurveyStatusHandler), e.g.
+// { trust: 6, accuracy: 5, rely: true, why: "..." }. Older clients send a single `rating`, which is
+// treated as the default instrument's "rating" item.
+// Each participant has at most one record per question: the ratingId is the questionId. Questions whose
+// ratingScope is "turn" are rated per conversation turn instead, with ratingId `${questionId}#${turn}`.
+// A second rating for the same question follows the study's ratingPolicy (SurveyStatusHandler):
+//   - "overwrite": the new rating replaces the old one and `revision` counts the changes
+//   - "reject":    the first rating stands and the request gets a 409
+// A request repeating the stored idempotencyKey is a network retry and is acknowledged without writing again.
+// Questions outside the participant's assigned group are rejected with a 400.
+// The question text and groupId are copied from the loaded config so records stay readable after groups change
+// If you add new per-rating fields (e.g. confidence), include them in the record below
+async function handleRate({ sessionId, questionId, turn, rating, ratings, answerToRatingMs, idempotencyKey }) {
+  if (!sessionId || !questionId) return { message: "Invalid input" };
+
+  const study = await getStudySettings(sessionId);
+  const values = ratings && typeof ratings === "object" ? ratings : { rating: Number(rating) };
+  const invalid = validateRatings(study.ratingInstrument, values);
+  if (invalid) return { message: `Invalid rating: ${invalid}`, invalid: true };
+
+  const dbQ = await findQuestion(questionId);
+  if (!dbQ) return { message: `No DB question for id ${questionId}` };
+
+  // Same rule as /ask — participants can only rate questions from the group they were assigned to
+  const { groupId } = await getOrAssignGroup(sessionId);
+  if (dbQ.groupId !== groupId) {
+    return { message: `Question ${questionId} is not in this participant's group`, invalid: true };
+  }
+
+  const perTurn = dbQ.ratingScope === "turn";
+  if (perTurn && !(Number.isInteger(turn) && turnOf(dbQ, turn))) return { message: "Invalid turn", invalid: true };
+
+  const key = { sessionId: String(sessionId), ratingId: perTurn ? `${questionId}#${turn}` : String(questionId) };
+  const { Item: existing } = await docClient.send(new GetCommand({ TableName: RATING_RECORDS_TABLE, Key: key }));
+  const action = repeatRatingAction(existing, idempotencyKey, study.ratingPolicy);
+  if (action === "duplicate") {
+    return { message: "Rating already stored", ratingId: existing.ratingId, duplicate: true };
+  }
+  if (action === "conflict") {
+    return { conflict: true, message: `You have already rated this ${perTurn ? "turn" : "answer"}` };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    ...key,
+    questionId: String(questionId),
+    question: dbQ.question,
+    ...(perTurn ? { turn } : {}),
+    groupId: dbQ.groupId,
+    surveyId: study.surveyId,
+    // The rated answer's metadata as configured at rating time (the opening answer's for whole conversations)
+    answerMeta: turnOf(dbQ, perTurn ? turn : 0).answerMeta,
+    ratings: values,
+    ratedAt: now,
+    firstRatedAt: existing?.firstRatedAt || existing?.ratedAt || now,
+    revision: existing ? (existing.revision || 0) + 1 : 0,
+    idempotencyKey: idempotencyKey ? String(idempotencyKey) : null,
+    // Time between the final answer appearing on screen and the rating being submitted
+    answerToRatingMs: Number.isFinite(Number(answerToRatingMs)) ? Number(answerToRatingMs) : null
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: RATING_RECORDS_TABLE,
+      Item: record,
+      // Guards against a concurrent first rating slipping past the check above
+      ...(existing ? {} : { ConditionExpression: "attribute_not_exists(ratingId)" })
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    // Lost a race with another request for the same question — resolve against the stored record
+    return handleRate({ sessionId, questionId, turn, rating, ratings, answerToRatingMs, idempotencyKey });
+  }
+
+  await logSessionEvent(sessionId, {
+    type: "rate",
+    questionId: record.questionId,
+    ...(perTurn ? { turn } : {}),
+    ratings: values,
+    revision: record.revision
+  });
+  return { message: existing ? "Rating updated" : "Rating stored", ratingId: record.ratingId, revision: record.revision };
+}
+
+// === Settings of the study this session belongs to (and the session itself, when it exists) ===
+async function getStudySettings(sessionId) {
+  const { Item: session } = await docClient.send(new GetCommand({
+    TableName: SESSIONS_TABLE,
+    Key: { sessionId: String(sessionId) }
+  }));
+  const surveyId = session?.surveyId || DEFAULT_SURVEY_ID;
+
+  const { Item: study } = await docClient.send(new GetCommand({
+    TableName: SURVEY_STATUS_TABLE,
+    Key: { surveyId }
+  }));
+  return {
+    surveyId,
+    session,
+    questionOrder: study?.questionOrder || DEFAULT_QUESTION_ORDER,
+    orderBlockSize: Number(study?.orderBlockSize) || null,
+    fallbackAnswer: study?.fallbackAnswer || DEFAULT_FALLBACK_ANSWER,
+    ratingPolicy: study?.ratingPolicy || DEFAULT_RATING_POLICY,
+    ratingInstrument: study?.ratingInstrument || DEFAULT_RATING_INSTRUMENT
+  };
+}
+
+// Item values of a record; records from before instruments store a single 1–5 `rating`
+function recordRatings(rec) {
+  return rec.ratings || (rec.rating !== undefined ? { rating: Number(rec.rating) } : {});
+}
+
+// === Log an event for the participant's session and refresh its activity time ===
+// Each event is its own SESSION_EVENTS_TABLE item (eventId = time + random suffix, so events sort chronologically
+// and same-millisecond events do not collide); the session row only keeps a `${type}Count` counter per event type.
+// Sessions are created on consent; events for an unknown session (e.g. from an older client) are skipped
+async function logSessionEvent(sessionId, event) {
+  const at = new Date().toISOString();
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: SESSIONS_TABLE,
+      Key: { sessionId: String(sessionId) },
+      UpdateExpression: "SET lastActivityAt = :at ADD #count :one",
+      ConditionExpression: "attribute_exists(sessionId)",
+      ExpressionAttributeNames: { "#count": `${event.type}Count` },
+      ExpressionAttributeValues: { ":at": at, ":one": 1 }
+    }));
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    console.warn(`No session ${sessionId}; ${event.type} event not logged`);
+    return;
   }
 
-  return { message: "Rating stored", updated: upd.Attributes };
+  await docClient.send(new PutCommand({
+    TableName: SESSION_EVENTS_TABLE,
+    Item: { sessionId: String(sessionId), eventId: `${at}#${randomUUID().slice(0, 8)}`, ...event, at }
+  }));
 }
 
 // === Fetch ratings summary ===
-// Returns per-question breakdown for all questions with ratings
-// If adding user-specific feedback later, this logic will need filtering
-async function getAllRatings() {
-  const data = await docClient.send(new ScanCommand({ TableName: RESPONSES_TABLE }));
-  const items = data.Items || [];
-
-  return items.map(item => ({
-    questionId: item.questionId,
-    question: item.question,
-    rating1: item.rating1 || 0,
-    rating2: item.rating2 || 0,
-    rating3: item.rating3 || 0,
-    rating4: item.rating4 || 0,
-    rating5: item.rating5 || 0,
+// Aggregates the individual rating records into one row per question (per turn for questions rated turn by
+// turn, with a `turn` column), with columns per instrument item:
+//   - scale items:  `${id}${value}` counts for every point (e.g. rating1..rating5, trust1..trust7) and `${id}Mean`
+//   - binary items: `${id}Yes` / `${id}No` counts
+//   - text items:   `${id}Count` (the text itself is in /ratings/records)
+// With ?surveyId= only that study's records are counted and its instrument fixes the columns; otherwise columns
+// follow whatever values were recorded. Legacy Responses counters are added to the default "rating" item.
+// Each row also carries the answer's `correctness` and `tags` from the current GroupSettings (or, for questions
+// deleted since, from the rating records), so trust can be compared against correctness directly.
+async function getAllRatings(surveyId) {
+  const [records, legacyRows, instrument] = await Promise.all([
+    getRatingRecordItems(surveyId),
+    scanAll(LEGACY_RESPONSES_TABLE),
+    surveyId ? getInstrument(surveyId) : null,
+    getQuestionsAllRows()
+  ]);
+  const items = new Map((instrument || DEFAULT_RATING_INSTRUMENT).items.map(item => [item.id, item]));
+  const byQuestion = new Map();
+  const sums = new Map(); // row -> { [itemId]: { total, n } } for means
+
+  const rowFor = (questionId, question, turn, recordedMeta) => {
+    const key = turn === undefined ? String(questionId) : `${questionId}#${turn}`;
+    if (!byQuestion.has(key)) {
+      const dbQ = allDbQuestions.find(q => q.questionId === String(questionId));
+      const meta = (dbQ && turnOf(dbQ, turn ?? 0)?.answerMeta) || recordedMeta || { correctness: null, tags: [] };
+      const row = {
+        questionId: String(questionId),
+        question: question || "",
+        ...(turn === undefined ? {} : { turn }),
+        correctness: meta.correctness,
+        tags: meta.tags.join("; ")
+      };
+      if (instrument) {
+        for (const item of instrument.items) Object.assign(row, emptyColumns(item));
+      }
+      byQuestion.set(key, row);
+    }
+    const row = byQuestion.get(key);
+    if (!row.question && question) row.question = question;
+    return row;
+  };
+  const addScale = (row, id, value, count) => {
+    row[`${id}${value}`] = (row[`${id}${value}`] || 0) + count;
+    if (!sums.has(row)) sums.set(row, {});
+    const sum = sums.get(row)[id] || { total: 0, n: 0 };
+    sums.get(row)[id] = { total: sum.total + value * count, n: sum.n + count };
+  };
+
+  for (const rec of records) {
+    const row = rowFor(rec.questionId, rec.question, rec.turn, rec.answerMeta);
+    for (const [id, value] of Object.entries(recordRatings(rec))) {
+      const type = items.get(id)?.type || (typeof value === "boolean" ? "binary" : typeof value === "string" ? "text" : "scale");
+      if (type === "binary") row[`${id}${value ? "Yes" : "No"}`] = (row[`${id}${value ? "Yes" : "No"}`] || 0) + 1;
+      else if (type === "text") row[`${id}Count`] = (row[`${id}Count`] || 0) + (value.trim() ? 1 : 0);
+      else addScale(row, id, value, 1);
+    }
+  }
+
+  if (!surveyId || surveyId === DEFAULT_SURVEY_ID) {
+    for (const legacy of legacyRows) {
+      const row = rowFor(legacy.questionId, legacy.question);
+      for (let r = 1; r <= 5; r++) addScale(row, "rating", r, Number(legacy[`rating${r}`] || 0));
+    }
+  }
+
+  for (const [row, byItem] of sums) {
+    for (const [id, { total, n }] of Object.entries(byItem)) row[`${id}Mean`] = n ? Number((total / n).toFixed(3)) : null;
+  }
+
+  return [...byQuestion.values()];
+}
+
+// Zero-valued summary columns for one instrument item, so every configured column appears in the export
+function emptyColumns(item) {
+  if (item.type === "binary") return { [`${item.id}Yes`]: 0, [`${item.id}No`]: 0 };
+  if (item.type === "text") return { [`${item.id}Count`]: 0 };
+  const cols = {};
+  for (let v = item.min; v <= item.max; v++) cols[`${item.id}${v}`] = 0;
+  cols[`${item.id}Mean`] = null;
+  return cols;
+}
+
+// === One flat row per rating record, with a column per instrument item — used for the raw CSV export ===
+async function getRatingRecords(surveyId) {
+  const records = await getRatingRecordItems(surveyId);
+  return records.map(rec => ({
+    sessionId: rec.sessionId,
+    surveyId: rec.surveyId || DEFAULT_SURVEY_ID,
+    questionId: rec.questionId,
+    question: rec.question,
+    turn: rec.turn ?? null,
+    correctness: rec.answerMeta?.correctness ?? null,
+    tags: (rec.answerMeta?.tags || []).join("; "),
+    groupId: rec.groupId,
+    ratedAt: rec.ratedAt,
+    revision: rec.revision ?? 0,
+    answerToRatingMs: rec.answerToRatingMs ?? null,
+    ...recordRatings(rec)
   }));
 }
 
+// Rating records, optionally for one study; records from before studies were tracked belong to the default one
+async function getRatingRecordItems(surveyId) {
+  const records = await scanAll(RATING_RECORDS_TABLE);
+  if (!surveyId) return records;
+  return records.filter(rec => (rec.surveyId || DEFAULT_SURVEY_ID) === surveyId);
+}
+
+async function getInstrument(surveyId) {
+  const { Item: study } = await docClient.send(new GetCommand({ TableName: SURVEY_STATUS_TABLE, Key: { surveyId } }));
+  return study?.ratingInstrument || DEFAULT_RATING_INSTRUMENT;
+}
+
+// === Scan every item in a table, following pagination ===
+async function scanAll(tableName) {
+  const items = [];
+  let lastKey;
+  do {
+    const page = await docClient.send(new DocScanCommand({ TableName: tableName, ExclusiveStartKey: lastKey }));
+    items.push(...(page.Items || []));
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
 // === Utility ===
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 function corsHeaders() {
   return {
     "Access-Control-Allow-Origin": "*",
@@ -177,3 +827,9 @@ function successRes(b) {
 function notFound(m) {
   return { statusCode: 404, headers: corsHeaders(), body: JSON.stringify({ message: m }) };
 }
+function badRequest(m) {
+  return { statusCode: 400, headers: corsHeaders(), body: JSON.stringify({ message: m }) };
+}
+function conflict(m) {
+  return { statusCode: 409, headers: corsHeaders(), body: JSON.stringify({ message: m }) };
+}
@@ -0,0 +1,50 @@
+// legacyQuestionIds.js — Maps the old scan-order question numbers to persistent question ids
+// Used by migrateQuestionIds.js to re-key ratings that were stored under the old numbers
+
+const { randomUUID } = require("crypto");
+
+// === Assign ids to GROUPS_TABLE items and rebuild the old numbering ===
+// `groups` must be in the order of a single un-paginated Scan, which is how the old getQuestionsAllRows
+// numbered questions 1..n. Returns:
+//   - updates:  { groupId, questions, added } for every group that had questions without an id
+//   - knownIds: every question id after the migration
+//   - resolve(oldId, text): the id a legacy rating belongs to, matched by question text first and then by
+//     old number, or null
+function planQuestionIds(groups) {
+  const byLegacyNumber = new Map();
+  const byText = new Map();
+  const updates = [];
+  let legacyNumber = 1;
+
+  for (const group of groups) {
+    if (!group.questionsJson) continue;
+
+    let questions;
+    try { questions = JSON.parse(group.questionsJson) || []; } catch (e) {
+      console.error(`Skipping group ${group.groupId}: invalid questionsJson`, e);
+      continue;
+    }
+
+    const withIds = questions.map(q => (q.id ? q : { ...q, id: randomUUID() }));
+    for (const q of withIds) {
+      byLegacyNumber.set(legacyNumber++, q.id);
+      const text = normalize(q.question);
+      if (text && !byText.has(text)) byText.set(text, q.id);
+    }
+
+    const added = questions.filter(q => !q.id).length;
+    if (added) updates.push({ groupId: group.groupId, questions: withIds, added });
+  }
+
+  return {
+    updates,
+    knownIds: new Set(byLegacyNumber.values()),
+    resolve: (oldId, text) => byText.get(normalize(text)) || byLegacyNumber.get(Number(oldId)) || null
+  };
+}
+
+function normalize(text) {
+  return (text || "").trim().toLowerCase();
+}
+
+module.exports = { planQuestionIds };
@@ -0,0 +1,47 @@
+const { planQuestionIds } = require("./legacyQuestionIds");
+
+const group = (groupId, questions) => ({ groupId, questionsJson: JSON.stringify(questions) });
+
+describe("planQuestionIds", () => {
+  test("numbers questions 1..n across groups in scan order", () => {
+    const { resolve } = planQuestionIds([
+      group("2", [{ id: "a", question: "First" }, { id: "b", question: "Second" }]),
+      { groupId: "COUNTER", currentId: 2 },
+      group("1", [{ id: "c", question: "Third" }])
+    ]);
+    expect(resolve(1, "")).toBe("a");
+    expect(resolve("2", undefined)).toBe("b");
+    expect(resolve(3, "")).toBe("c");
+    expect(resolve(4, "")).toBeNull();
+  });
+
+  test("matches by question text before the old number", () => {
+    const { resolve } = planQuestionIds([
+      group("1", [{ id: "a", question: "Is the sky blue?" }, { id: "b", question: "Is grass green?" }])
+    ]);
+    // Scan order changed since the rating was stored: number 1 now points elsewhere, the text does not
+    expect(resolve(1, "  is grass GREEN? ")).toBe("b");
+  });
+
+  test("assigns ids only to questions without one and reports those groups", () => {
+    const { updates, knownIds } = planQuestionIds([
+      group("1", [{ id: "a", question: "Kept" }]),
+      group("2", [{ question: "New" }, { id: "b", question: "Also kept" }])
+    ]);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].groupId).toBe("2");
+    expect(updates[0].added).toBe(1);
+    expect(updates[0].questions[1].id).toBe("b");
+    expect(knownIds).toEqual(new Set(["a", updates[0].questions[0].id, "b"]));
+  });
+
+  test("skips groups whose questionsJson does not parse, like the old numbering did", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { resolve } = planQuestionIds([
+      { groupId: "1", questionsJson: "{not json" },
+      group("2", [{ id: "a", question: "Only" }])
+    ]);
+    expect(resolve(1, "")).toBe("a");
+    console.error.mockRestore();
+  });
+});
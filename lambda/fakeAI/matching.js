@@ -0,0 +1,72 @@
+// matching.js — Scores a participant's typed prompt against the questions of their group
+
+const MATCH_THRESHOLD = 0.35; // Lowest score (0–1) that counts as a match
+const STOP_WORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "were", "be", "do", "does", "did", "can", "could", "would", "should",
+  "i", "you", "me", "my", "your", "it", "its", "of", "to", "in", "on", "for", "and", "or", "what", "how", "why",
+  "when", "where", "which", "who", "this", "that", "with", "about", "please", "tell"
+]);
+
+// The highest-scoring question, or null when none scores at least MATCH_THRESHOLD.
+// score is the best score found (rounded to 3 places), whether or not it matched.
+function bestMatch(prompt, questions) {
+  const promptTokens = tokenize(prompt);
+
+  let best = null;
+  for (const q of questions) {
+    const score = matchScore(promptTokens, q);
+    if (!best || score > best.score) best = { q, score };
+  }
+  return {
+    matched: best && best.score >= MATCH_THRESHOLD ? best.q : null,
+    score: best ? Number(best.score.toFixed(3)) : 0
+  };
+}
+
+// Score 0–1: the better of a keyword score (any configured keyword found in the prompt scores at least 0.5)
+// and the word overlap (Dice coefficient) between the prompt and the question text.
+// Words match when equal or within a small edit distance, so typos and plurals still count.
+function matchScore(promptTokens, q) {
+  if (!promptTokens.length) return 0;
+  const found = token => promptTokens.some(p => tokensMatch(p, token));
+
+  const questionTokens = tokenize(q.question);
+  const overlap = questionTokens.filter(found).length;
+  const textScore = questionTokens.length ? (2 * overlap) / (questionTokens.length + promptTokens.length) : 0;
+
+  const keywordHits = q.keywords.filter(k => {
+    const tokens = tokenize(k);
+    return tokens.length > 0 && tokens.every(found);
+  }).length;
+  const keywordScore = keywordHits ? 0.5 + 0.5 * (keywordHits / q.keywords.length) : 0;
+
+  return Math.max(textScore, keywordScore);
+}
+
+function tokenize(text) {
+  return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !STOP_WORDS.has(t));
+}
+
+function tokensMatch(a, b) {
+  if (a === b) return true;
+  const shorter = Math.min(a.length, b.length);
+  const allowed = shorter >= 8 ? 2 : shorter >= 4 ? 1 : 0;
+  return allowed > 0 && Math.abs(a.length - b.length) <= allowed && editDistance(a, b) <= allowed;
+}
+
+// Levenshtein distance with a single rolling row
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+module.exports = { MATCH_THRESHOLD, bestMatch, editDistance, matchScore, tokenize };
@@ -0,0 +1,86 @@
+const { MATCH_THRESHOLD, bestMatch, editDistance, matchScore, tokenize } = require("./matching");
+
+const question = (questionId, text, keywords = []) => ({ questionId, question: text, keywords });
+
+describe("tokenize", () => {
+  test("lowercases, splits on punctuation and drops stop words", () => {
+    expect(tokenize("What is the boiling point of WATER?")).toEqual(["boiling", "point", "water"]);
+  });
+
+  test("a prompt of only stop words has no tokens", () => {
+    expect(tokenize("Can you tell me about it?")).toEqual([]);
+  });
+});
+
+describe("editDistance", () => {
+  test.each([
+    ["kitten", "sitting", 3],
+    ["water", "water", 0],
+    ["", "abc", 3],
+    ["photosynthesis", "photosynthsis", 1]
+  ])("%s → %s is %i", (a, b, distance) => {
+    expect(editDistance(a, b)).toBe(distance);
+    expect(editDistance(b, a)).toBe(distance);
+  });
+});
+
+describe("matchScore", () => {
+  const q = question("q1", "What causes the seasons on Earth?", ["axial tilt", "seasons"]);
+
+  test("the same words as the question text score 1", () => {
+    expect(matchScore(tokenize("causes seasons earth"), question("q1", "What causes the seasons on Earth?"))).toBe(1);
+  });
+
+  test("a configured keyword scores at least 0.5, more keywords score higher", () => {
+    const one = matchScore(tokenize("axial tilt"), q);
+    const both = matchScore(tokenize("does axial tilt change the seasons"), q);
+    expect(one).toBeGreaterThanOrEqual(0.5);
+    expect(both).toBe(1);
+  });
+
+  test("a multi-word keyword needs all of its words", () => {
+    expect(matchScore(tokenize("tilt"), question("q1", "Unrelated text", ["axial tilt"]))).toBe(0);
+  });
+
+  test("typos and plurals within the allowed edit distance still match", () => {
+    expect(matchScore(tokenize("photosynthsis"), question("q2", "Photosynthesis"))).toBe(1);
+    expect(matchScore(tokenize("planets"), question("q3", "Planet"))).toBe(1);
+  });
+
+  test("short words must match exactly", () => {
+    expect(matchScore(tokenize("cat"), question("q4", "Car"))).toBe(0);
+  });
+
+  test("an empty prompt scores 0", () => {
+    expect(matchScore([], q)).toBe(0);
+  });
+});
+
+describe("bestMatch", () => {
+  const questions = [
+    question("q1", "What causes the seasons on Earth?", ["axial tilt"]),
+    question("q2", "How does photosynthesis work?", ["chlorophyll"])
+  ];
+
+  test("picks the highest-scoring question", () => {
+    const { matched, score } = bestMatch("explain photosynthesis to me", questions);
+    expect(matched.questionId).toBe("q2");
+    expect(score).toBeGreaterThanOrEqual(MATCH_THRESHOLD);
+  });
+
+  test("returns no match, but still the best score, below the threshold", () => {
+    const { matched, score } = bestMatch("recipe for banana bread earth", questions);
+    expect(matched).toBeNull();
+    expect(score).toBeGreaterThan(0);
+    expect(score).toBeLessThan(MATCH_THRESHOLD);
+  });
+
+  test("the score is rounded to 3 places", () => {
+    const { score } = bestMatch("seasons earth tilt", questions);
+    expect(score).toBe(Number(score.toFixed(3)));
+  });
+
+  test("no questions means no match and a score of 0", () => {
+    expect(bestMatch("anything", [])).toEqual({ matched: null, score: 0 });
+  });
+});
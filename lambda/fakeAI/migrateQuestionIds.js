@@ -0,0 +1,126 @@
+// migrateQuestionIds.js — One-off migration from scan-order question numbers to persistent question UUIDs
+// Before GroupConfigLambda assigned ids, fakeAI numbered questions 1..n in DynamoDB scan order and
+// ratings were stored against those numbers. This script:
+//   1. Gives every question in GROUPS_TABLE without an `id` a UUID (same format GroupConfigLambda uses)
+//   2. Re-keys legacy Responses counter rows from the old number to the new UUID
+//   3. Rewrites the questionId on RatingRecords items that still carry an old number
+//
+// Old numbers are matched by question text first (both Responses rows and rating records store it),
+// then by replaying the old scan-order numbering. Run it once, before any group is edited again:
+//   node migrateQuestionIds.js           — dry run, prints the planned changes
+//   node migrateQuestionIds.js --apply   — writes the changes
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand,
+  DeleteCommand
+} = require("@aws-sdk/lib-dynamodb");
+const { planQuestionIds } = require("./legacyQuestionIds");
+
+// === Configuration ===
+// Keep in sync with index.js
+const REGION = "us-east-2";
+const GROUPS_TABLE = "Groups";
+const RATING_RECORDS_TABLE = "RatingRecords";
+const LEGACY_RESPONSES_TABLE = "Responses";
+
+const docClient = DynamoDBDocumentClient.from(new DynamoDBClient({ region: REGION }));
+
+async function migrate({ apply = false } = {}) {
+  const log = (...args) => console.log(apply ? "[apply]" : "[dry-run]", ...args);
+
+  // === Step 1: assign ids and rebuild the old numbering ===
+  // A single un-paginated Scan mirrors how the old getQuestionsAllRows numbered questions
+  const groups = (await docClient.send(new ScanCommand({ TableName: GROUPS_TABLE }))).Items || [];
+  const { updates, knownIds, resolve } = planQuestionIds(groups);
+
+  for (const { groupId, questions, added } of updates) {
+    log(`Group ${groupId}: assigning ids to ${added} question(s)`);
+    if (apply) {
+      await docClient.send(new UpdateCommand({
+        TableName: GROUPS_TABLE,
+        Key: { groupId },
+        UpdateExpression: "SET questionsJson = :q",
+        ExpressionAttributeValues: { ":q": JSON.stringify(questions) }
+      }));
+    }
+  }
+
+  // === Step 2: re-key legacy Responses counters ===
+  const unmatched = [];
+  for (const row of await scanAll(LEGACY_RESPONSES_TABLE)) {
+    if (knownIds.has(String(row.questionId))) continue;
+    const newId = resolve(row.questionId, row.question);
+    if (!newId) { unmatched.push(`${LEGACY_RESPONSES_TABLE}:${row.questionId}`); continue; }
+
+    log(`${LEGACY_RESPONSES_TABLE}: ${row.questionId} -> ${newId}`);
+    if (!apply) continue;
+
+    // ADD merges counts in case two old numbers resolve to the same question
+    const names = { "#q": "question" };
+    const values = { ":t": row.question || "" };
+    const adds = [];
+    for (let r = 1; r <= 5; r++) {
+      if (!row[`rating${r}`]) continue;
+      names[`#r${r}`] = `rating${r}`;
+      values[`:r${r}`] = Number(row[`rating${r}`]);
+      adds.push(`#r${r} :r${r}`);
+    }
+    await docClient.send(new UpdateCommand({
+      TableName: LEGACY_RESPONSES_TABLE,
+      Key: { questionId: newId },
+      UpdateExpression: `SET #q = if_not_exists(#q, :t)${adds.length ? ` ADD ${adds.join(", ")}` : ""}`,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }));
+    await docClient.send(new DeleteCommand({
+      TableName: LEGACY_RESPONSES_TABLE,
+      Key: { questionId: row.questionId }
+    }));
+  }
+
+  // === Step 3: rewrite questionId on individual rating records ===
+  for (const rec of await scanAll(RATING_RECORDS_TABLE)) {
+    if (knownIds.has(String(rec.questionId))) continue;
+    const newId = resolve(rec.questionId, rec.question);
+    if (!newId) { unmatched.push(`${RATING_RECORDS_TABLE}:${rec.sessionId}/${rec.ratingId}`); continue; }
+
+    log(`${RATING_RECORDS_TABLE}: ${rec.sessionId}/${rec.ratingId} ${rec.questionId} -> ${newId}`);
+    if (!apply) continue;
+
+    await docClient.send(new UpdateCommand({
+      TableName: RATING_RECORDS_TABLE,
+      Key: { sessionId: rec.sessionId, ratingId: rec.ratingId },
+      UpdateExpression: "SET questionId = :id",
+      ExpressionAttributeValues: { ":id": newId }
+    }));
+  }
+
+  if (unmatched.length) {
+    console.warn(`Could not resolve ${unmatched.length} item(s); they were left unchanged:`, unmatched);
+  }
+  return { unmatched };
+}
+
+// === Helpers ===
+async function scanAll(tableName) {
+  const items = [];
+  let lastKey;
+  do {
+    const page = await docClient.send(new ScanCommand({ TableName: tableName, ExclusiveStartKey: lastKey }));
+    items.push(...(page.Items || []));
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+  return items;
+}
+
+module.exports = { migrate };
+
+if (require.main === module) {
+  migrate({ apply: process.argv.includes("--apply") }).catch(err => {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  });
+}
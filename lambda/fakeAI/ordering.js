@@ -0,0 +1,48 @@
+// ordering.js — Question order and shuffling helpers used by fakeAI
+
+// Row r of a Williams design: every question appears in every position equally often and (over a full
+// cycle of rows) follows every other question equally often. Even n needs n rows, odd n needs 2n.
+function williamsRow(n, r) {
+  const first = [];
+  for (let i = 0, lo = 0, hi = n - 1; i < n; i++) first.push(i % 2 === 0 ? lo++ : hi--);
+
+  const rows = n % 2 === 0 ? n : 2 * n;
+  const k = r % rows;
+  const row = first.map(v => (v + k) % n);
+  return k < n ? row : row.reverse();
+}
+
+// Served questions sorted by a stored list of question IDs; questions not in it go last
+function inStoredOrder(questions, storedIds) {
+  const position = new Map(storedIds.map((id, i) => [id, i]));
+  return questions
+    .map((q, i) => ({ q, rank: position.has(q.id) ? position.get(q.id) : storedIds.length + i }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ q }) => q);
+}
+
+// Deterministic Fisher–Yates shuffle (mulberry32 seeded from a string hash)
+function seededShuffle(arr, seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let state = h >>> 0;
+  const rand = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+module.exports = { inStoredOrder, seededShuffle, williamsRow };
@@ -0,0 +1,68 @@
+const { inStoredOrder, seededShuffle, williamsRow } = require("./ordering");
+
+// Every row of one full cycle of the design
+const cycle = (n) => Array.from({ length: n % 2 === 0 ? n : 2 * n }, (_, r) => williamsRow(n, r));
+
+describe("williamsRow", () => {
+  const sizes = [2, 3, 4, 5, 6, 7];
+
+  test.each(sizes)("each row is an order of all %i questions", (n) => {
+    for (const row of cycle(n)) expect([...row].sort((a, b) => a - b)).toEqual([...Array(n).keys()]);
+  });
+
+  test.each(sizes)("with %i questions, each question is in each position equally often", (n) => {
+    const rows = cycle(n);
+    for (let position = 0; position < n; position++) {
+      const counts = new Array(n).fill(0);
+      rows.forEach(row => counts[row[position]]++);
+      expect(new Set(counts)).toEqual(new Set([rows.length / n]));
+    }
+  });
+
+  test.each(sizes)("with %i questions, each question directly follows every other equally often", (n) => {
+    const rows = cycle(n);
+    const pairs = new Map();
+    for (const row of rows) {
+      for (let i = 1; i < n; i++) pairs.set(`${row[i - 1]}>${row[i]}`, (pairs.get(`${row[i - 1]}>${row[i]}`) || 0) + 1);
+    }
+    expect(pairs.size).toBe(n * (n - 1));
+    expect(new Set(pairs.values())).toEqual(new Set([rows.length / n]));
+  });
+
+  test("repeats after a full cycle", () => {
+    expect(williamsRow(4, 5)).toEqual(williamsRow(4, 1));
+    expect(williamsRow(3, 7)).toEqual(williamsRow(3, 1));
+  });
+});
+
+describe("seededShuffle", () => {
+  const items = ["a", "b", "c", "d", "e", "f", "g", "h"];
+
+  test("returns the same order for the same seed, without changing the input", () => {
+    const copy = [...items];
+    expect(seededShuffle(items, "order-s1")).toEqual(seededShuffle(items, "order-s1"));
+    expect(items).toEqual(copy);
+  });
+
+  test("keeps every item", () => {
+    expect([...seededShuffle(items, "order-s2")].sort()).toEqual(items);
+  });
+
+  test("different seeds give different orders", () => {
+    const orders = new Set(["s1", "s2", "s3", "s4", "s5"].map(seed => seededShuffle(items, seed).join("")));
+    expect(orders.size).toBeGreaterThan(1);
+  });
+});
+
+describe("inStoredOrder", () => {
+  const q = (id) => ({ id, question: `Question ${id}` });
+
+  test("serves a returning participant the order stored on their first visit", () => {
+    expect(inStoredOrder([q("a"), q("b"), q("c")], ["c", "a", "b"]).map(x => x.id)).toEqual(["c", "a", "b"]);
+  });
+
+  test("appends questions added since, in configured order, and drops removed ones", () => {
+    const served = [q("a"), q("new1"), q("c"), q("new2")];
+    expect(inStoredOrder(served, ["c", "gone", "a"]).map(x => x.id)).toEqual(["c", "a", "new1", "new2"]);
+  });
+});
@@ -0,0 +1,40 @@
+// ratings.js — Rating rules used by handleRate
+
+const MAX_TEXT_RATING_LENGTH = 2000;
+
+// === What to do with a rating when the participant may already have rated this ratingId ===
+//   - "store":     first rating for the ratingId
+//   - "duplicate": a retry of the request that stored `existing` (same idempotencyKey) — acknowledge without writing
+//   - "conflict":  the study's ratingPolicy is "reject" and a rating is already stored
+//   - "overwrite": replace the stored rating
+function repeatRatingAction(existing, idempotencyKey, ratingPolicy) {
+  if (!existing) return "store";
+  if (idempotencyKey && existing.idempotencyKey === idempotencyKey) return "duplicate";
+  return ratingPolicy === "reject" ? "conflict" : "overwrite";
+}
+
+// === Check submitted values against the instrument; returns an error message or null ===
+function validateRatings(instrument, values) {
+  const items = new Map(instrument.items.map(item => [item.id, item]));
+  for (const id of Object.keys(values)) {
+    if (!items.has(id)) return `unknown rating item "${id}"`;
+  }
+
+  for (const item of instrument.items) {
+    const value = values[item.id];
+    if (value === undefined || value === null || value === "") {
+      if (item.required) return `"${item.label}" is required`;
+      continue;
+    }
+    if (item.type === "scale" && !(Number.isInteger(value) && value >= item.min && value <= item.max)) {
+      return `"${item.label}" must be a whole number from ${item.min} to ${item.max}`;
+    }
+    if (item.type === "binary" && typeof value !== "boolean") return `"${item.label}" must be yes or no`;
+    if (item.type === "text" && (typeof value !== "string" || value.length > MAX_TEXT_RATING_LENGTH)) {
+      return `"${item.label}" must be text of at most ${MAX_TEXT_RATING_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+module.exports = { MAX_TEXT_RATING_LENGTH, repeatRatingAction, validateRatings };
@@ -0,0 +1,73 @@
+const { MAX_TEXT_RATING_LENGTH, repeatRatingAction, validateRatings } = require("./ratings");
+
+describe("repeatRatingAction", () => {
+  const stored = { ratingId: "q1", idempotencyKey: "key-1", revision: 0 };
+
+  test("stores a first rating under either policy", () => {
+    expect(repeatRatingAction(undefined, "key-1", "overwrite")).toBe("store");
+    expect(repeatRatingAction(undefined, "key-1", "reject")).toBe("store");
+  });
+
+  test("acknowledges a retry carrying the stored idempotencyKey without writing", () => {
+    expect(repeatRatingAction(stored, "key-1", "overwrite")).toBe("duplicate");
+    // A retry is not a second rating, so the reject policy does not turn it into a 409
+    expect(repeatRatingAction(stored, "key-1", "reject")).toBe("duplicate");
+  });
+
+  test("treats a new key as a second rating and follows the policy", () => {
+    expect(repeatRatingAction(stored, "key-2", "overwrite")).toBe("overwrite");
+    expect(repeatRatingAction(stored, "key-2", "reject")).toBe("conflict");
+  });
+
+  test("never treats a request without a key as a retry", () => {
+    expect(repeatRatingAction({ ...stored, idempotencyKey: null }, undefined, "overwrite")).toBe("overwrite");
+    expect(repeatRatingAction({ ...stored, idempotencyKey: null }, null, "reject")).toBe("conflict");
+  });
+});
+
+describe("validateRatings", () => {
+  const instrument = {
+    items: [
+      { id: "trust", label: "Trust", type: "scale", min: 1, max: 7, required: true },
+      { id: "rely", label: "Would rely", type: "binary", required: true },
+      { id: "why", label: "Why", type: "text", required: false }
+    ]
+  };
+
+  test("accepts values that fit every item", () => {
+    expect(validateRatings(instrument, { trust: 7, rely: false, why: "Sounds right" })).toBeNull();
+    expect(validateRatings(instrument, { trust: 1, rely: true })).toBeNull();
+  });
+
+  test("requires required items and allows optional ones to be empty", () => {
+    expect(validateRatings(instrument, { rely: true })).toBe('"Trust" is required');
+    expect(validateRatings(instrument, { trust: 3, rely: true, why: "" })).toBeNull();
+  });
+
+  test("rejects items that are not in the instrument", () => {
+    expect(validateRatings(instrument, { trust: 3, rely: true, mood: 2 })).toBe('unknown rating item "mood"');
+  });
+
+  test("checks scale values are whole numbers in range", () => {
+    const message = '"Trust" must be a whole number from 1 to 7';
+    expect(validateRatings(instrument, { trust: 0, rely: true })).toBe(message);
+    expect(validateRatings(instrument, { trust: 8, rely: true })).toBe(message);
+    expect(validateRatings(instrument, { trust: 2.5, rely: true })).toBe(message);
+    expect(validateRatings(instrument, { trust: "3", rely: true })).toBe(message);
+  });
+
+  test("checks binary and text types", () => {
+    expect(validateRatings(instrument, { trust: 3, rely: "yes" })).toBe('"Would rely" must be yes or no');
+    expect(validateRatings(instrument, { trust: 3, rely: true, why: 42 }))
+      .toBe(`"Why" must be text of at most ${MAX_TEXT_RATING_LENGTH} characters`);
+    expect(validateRatings(instrument, { trust: 3, rely: true, why: "x".repeat(MAX_TEXT_RATING_LENGTH + 1) }))
+      .toBe(`"Why" must be text of at most ${MAX_TEXT_RATING_LENGTH} characters`);
+  });
+
+  test("validates the legacy single star rating against the default instrument", () => {
+    const stars = { items: [{ id: "rating", label: "How trustworthy is this answer?", type: "scale", min: 1, max: 5, required: true }] };
+    expect(validateRatings(stars, { rating: 4 })).toBeNull();
+    // handleRate turns a missing `rating` into NaN, which must not pass
+    expect(validateRatings(stars, { rating: Number(undefined) })).toBe('"How trustworthy is this answer?" must be a whole number from 1 to 5');
+  });
+});
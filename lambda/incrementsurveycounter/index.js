@@ -1,10 +1,32 @@
-// incrementCounter.js — AWS Lambda handler for survey counter operations
-// Supports two routes:
-// 1. POST /incrementSurveyCounter — Increments the counter and sends optional SNS notification
-// 2. GET /getSurveyCounter — Returns current counter value
+// incrementCounter.js — AWS Lambda handler for participant sessions and survey completion counts
+// Routes:
+// 1. POST /sessions — Start a participant session after consent, body: { sessionId, surveyId? }
+// 2. GET  /sessions/stats?surveyId=... — Started / in-progress / completed / abandoned counts and completion rate
+// 3. GET  /sessions/{sessionId} — One session with its logged events
+// 4. POST /sessions/{sessionId}/complete — Mark a session completed ("Finished") and count it, body: { idempotencyKey? }
+// 5. POST /incrementSurveyCounter — Older name for route 4, body: { sessionId, idempotencyKey? }
+// 6. GET  /getSurveyCounter?surveyId=... — Returns current counter value
+//
+// The counter row is only ever bumped by a session moving from in-progress to completed (in the same
+// transaction), so the count reflects real sessions and repeated "Finished" clicks are not double-counted.
+// A retry carrying the idempotencyKey of the completing request gets the same success response.
+// Completion is refused (400) until the study's completionPolicy (SurveyStatusHandler) is met, counting the
+// distinct ratingIds rated in the session's events against the ratingIds fakeAI served to it (stored on the
+// participant's ASSIGNMENTS_TABLE row) — one per question, or one per turn (`${questionId}#${turn}`) for
+// questions rated turn by turn.
+// Each survey has its own counter row; SurveyStatusHandler reads it to enforce maxResponses quotas.
+// fakeAI logs the participant's asks and ratings as items of SESSION_EVENTS_TABLE and keeps per-type counts
+// on the session row; sessions from before that table still carry their events in an `events` list.
 
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
-const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand
+} = require("@aws-sdk/lib-dynamodb");
 const { SNSClient, PublishCommand } = require("@aws-sdk/client-sns");
 
 // === DynamoDB and SNS Clients ===
@@ -19,96 +41,308 @@ const snsClient = new SNSClient({});
 // You can override TABLE_NAME and SNS_TOPIC_ARN for different environments (dev/test/prod)
 const TABLE_NAME = process.env.TABLE_NAME || "SurveyCounter";
 const COUNTER_KEY = process.env.COUNTER_KEY || "totalSurveys";
+const DEFAULT_SURVEY_ID = "my-survey"; // Matches SurveyStatusHandler — this survey keeps the original COUNTER_KEY row
 const SNS_TOPIC_ARN = process.env.SNS_TOPIC_ARN;
 
+// Participant sessions, key: sessionId, and their events, key: sessionId + eventId — both written by fakeAI too,
+// keep the names in sync
+const SESSIONS_TABLE = process.env.SESSIONS_TABLE || "Sessions";
+const SESSION_EVENTS_TABLE = process.env.SESSION_EVENTS_TABLE || "SessionEvents";
+// An in-progress session with no activity for this long counts as abandoned (default 2 hours)
+const ABANDONED_AFTER_MS = Number(process.env.ABANDONED_AFTER_MS) || 2 * 60 * 60 * 1000;
+
+const SESSION_STATUSES = { IN_PROGRESS: "in-progress", COMPLETED: "completed" };
+
+// fakeAI stores each participant's group and served question order here, key: sessionId — keep the name in sync
+const ASSIGNMENTS_TABLE = process.env.ASSIGNMENTS_TABLE || "Assignments";
+
+// Per-study settings live in SurveyStatusHandler's table; keep the default in sync with it
+const SURVEY_STATUS_TABLE = process.env.SURVEY_STATUS_TABLE || "SurveyStatus";
+const DEFAULT_COMPLETION_POLICY = "free";
+
 exports.handler = async (event) => {
   console.log("Received event:", JSON.stringify(event, null, 2));
 
   const method = event.requestContext?.http?.method;
   const path = event.rawPath;
 
-  // === Route: Increment Counter ===
-  // Triggered when a participant completes a survey.
-  // If you want to track different counters (e.g., per survey type), you must extend this logic
-  if (method === "POST" && path === "/incrementSurveyCounter") {
-    try {
-      const result = await docClient.send(new UpdateCommand({
-        TableName: TABLE_NAME,
-        Key: { totalSurveys: COUNTER_KEY },
-        UpdateExpression: "SET #count = if_not_exists(#count, :start) + :inc",
-        ExpressionAttributeNames: { "#count": "count" },
-        ExpressionAttributeValues: { ":start": 0, ":inc": 1 },
-        ReturnValues: "UPDATED_NEW"
-      }));
+  try {
+    // === Route: Start Session ===
+    // Called when a participant accepts the consent form. Starting the same session twice returns the existing one.
+    if (method === "POST" && path === "/sessions") {
+      const { sessionId, surveyId } = JSON.parse(event.body || "{}");
+      if (!sessionId) return response(400, { message: "Missing sessionId" });
+      return response(200, await startSession(String(sessionId), surveyId || DEFAULT_SURVEY_ID));
+    }
 
-      const newCount = result.Attributes.count;
+    // === Route: Session Stats ===
+    // Use this from the dashboard to show how many participants started, dropped out and finished
+    else if (method === "GET" && path === "/sessions/stats") {
+      const surveyId = event.queryStringParameters?.surveyId || DEFAULT_SURVEY_ID;
+      return response(200, await getSessionStats(surveyId));
+    }
 
-      // === Optional SNS Notification ===
-      // If you'd like to notify a Slack channel or trigger downstream updates when surveys are completed,
-      // configure SNS_TOPIC_ARN in your Lambda environment variables. If it's missing, this is skipped.
-      if (SNS_TOPIC_ARN) {
-        await snsClient.send(new PublishCommand({
-          TopicArn: SNS_TOPIC_ARN,
-          Subject: "Survey Completed!",
-          Message: `A survey was just completed. New total count: ${newCount}`
-        }));
-      }
+    // === Route: Complete Session ===
+    // Triggered when a participant clicks "Finished" (after any post-questionnaire)
+    else if (method === "POST" && (/^\/sessions\/[^/]+\/complete$/.test(path) || path === "/incrementSurveyCounter")) {
+      const body = JSON.parse(event.body || "{}");
+      const sessionId = path === "/incrementSurveyCounter" ? body.sessionId : decodeURIComponent(path.split("/")[2]);
+      if (!sessionId) return response(400, { message: "Missing sessionId" });
 
-      return {
-        statusCode: 200,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*"
-        },
-        body: JSON.stringify({ count: newCount })
-      };
+      const result = await completeSession(String(sessionId), body.idempotencyKey);
+      if (!result) return response(404, { message: `No session found for sessionId=${sessionId}` });
+      if (result.policyNotMet) return response(400, result);
+      return response(200, result);
+    }
 
-    } catch (err) {
-      console.error("Error incrementing counter:", err);
-      return {
-        statusCode: 500,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ error: err.message })
-      };
+    // === Route: Get Session ===
+    else if (method === "GET" && /^\/sessions\/[^/]+$/.test(path)) {
+      const sessionId = decodeURIComponent(path.split("/")[2]);
+      const { Item } = await docClient.send(new GetCommand({ TableName: SESSIONS_TABLE, Key: { sessionId } }));
+      if (!Item) return response(404, { message: `No session found for sessionId=${sessionId}` });
+      return response(200, { ...Item, events: await getSessionEvents(Item) });
     }
-  }
 
-  // === Route: Get Counter ===
-  // Use this to retrieve total survey completions
-  // You might call this from the dashboard page to show how many surveys have been taken
-  else if (method === "GET" && path === "/getSurveyCounter") {
-    try {
+    // === Route: Get Counter ===
+    // Use this to retrieve total survey completions
+    // You might call this from the dashboard page to show how many surveys have been taken
+    else if (method === "GET" && path === "/getSurveyCounter") {
+      const surveyId = event.queryStringParameters?.surveyId;
       const result = await docClient.send(new GetCommand({
         TableName: TABLE_NAME,
-        Key: { totalSurveys: COUNTER_KEY }
+        Key: { totalSurveys: counterKeyFor(surveyId) }
       }));
+      return response(200, { count: result.Item?.count ?? 0 });
+    }
+  } catch (err) {
+    console.error("Error handling session/counter request:", err);
+    return response(500, { error: err.message });
+  }
 
-      const count = result.Item?.count ?? 0;
+  // === Fallback for unsupported paths ===
+  // If this Lambda is called with an unknown path or method
+  return response(404, { message: "Not Found" });
+};
 
-      return {
-        statusCode: 200,
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*"
-        },
-        body: JSON.stringify({ count })
-      };
+// === Create a session unless it already exists ===
+// Returns the session with its events, so a resumed session can restore what was already rated
+async function startSession(sessionId, surveyId) {
+  const now = new Date().toISOString();
+  const session = {
+    sessionId,
+    surveyId,
+    status: SESSION_STATUSES.IN_PROGRESS,
+    startedAt: now,
+    lastActivityAt: now
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: SESSIONS_TABLE,
+      Item: session,
+      ConditionExpression: "attribute_not_exists(sessionId)"
+    }));
+    return { ...session, events: [] };
+  } catch (err) {
+    // A reload re-sends consent — keep the original session and its events
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    const { Item } = await docClient.send(new GetCommand({ TableName: SESSIONS_TABLE, Key: { sessionId } }));
+    return { ...Item, events: await getSessionEvents(Item) };
+  }
+}
 
-    } catch (err) {
-      console.error("Error getting counter:", err);
+// === A session's events, oldest first ===
+// Events logged before SESSION_EVENTS_TABLE existed are still in the session row's `events` list
+async function getSessionEvents(session) {
+  const items = [];
+  let lastKey;
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: SESSION_EVENTS_TABLE,
+      KeyConditionExpression: "sessionId = :s",
+      ExpressionAttributeValues: { ":s": session.sessionId },
+      ExclusiveStartKey: lastKey
+    }));
+    items.push(...(page.Items || []));
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+  return [...(session.events || []), ...items];
+}
+
+// === Mark a session completed and count it, exactly once ===
+// Returns null if the session does not exist
+async function completeSession(sessionId, idempotencyKey) {
+  const { Item: session } = await docClient.send(new GetCommand({ TableName: SESSIONS_TABLE, Key: { sessionId } }));
+  if (!session) return null;
+
+  // Already-completed sessions skip the policy check so retries still get their success response
+  if (session.status === SESSION_STATUSES.IN_PROGRESS) {
+    const progress = await getRatingProgress(session);
+    if (!progress.met) {
       return {
-        statusCode: 500,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ error: err.message })
+        policyNotMet: true,
+        message: `Please rate ${progress.required} answer(s) before finishing (${progress.rated} rated so far)`,
+        ...progress
       };
     }
   }
 
-  // === Fallback for unsupported paths ===
-  // If this Lambda is called with an unknown path or method
+  const counterKey = counterKeyFor(session.surveyId);
+  const now = new Date().toISOString();
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: SESSIONS_TABLE,
+            Key: { sessionId },
+            UpdateExpression: "SET #status = :completed, completedAt = :now, lastActivityAt = :now, completionKey = :key",
+            ConditionExpression: "#status = :inProgress",
+            ExpressionAttributeNames: { "#status": "status" },
+            ExpressionAttributeValues: {
+              ":completed": SESSION_STATUSES.COMPLETED,
+              ":inProgress": SESSION_STATUSES.IN_PROGRESS,
+              ":now": now,
+              ":key": idempotencyKey ? String(idempotencyKey) : null
+            }
+          }
+        },
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: { totalSurveys: counterKey },
+            UpdateExpression: "SET #count = if_not_exists(#count, :start) + :inc",
+            ExpressionAttributeNames: { "#count": "count" },
+            ExpressionAttributeValues: { ":start": 0, ":inc": 1 }
+          }
+        }
+      ]
+    }));
+  } catch (err) {
+    // Only a failed status condition on the session (the first item) means it was already completed.
+    // Anything else — the counter update, a transaction conflict, throttling — is rethrown, so the client's
+    // retry (same idempotencyKey) tries the completion again instead of being told it is done.
+    const sessionCheckFailed = err.name === "TransactionCanceledException"
+      && err.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed";
+    if (!sessionCheckFailed) throw err;
+    const { Item: current } = await docClient.send(new GetCommand({ TableName: SESSIONS_TABLE, Key: { sessionId } }));
+    if (current?.status !== SESSION_STATUSES.COMPLETED) throw err;
+
+    // The session was already completed — report the current count without bumping it again
+    const isRetry = idempotencyKey && current?.completionKey === String(idempotencyKey);
+    return {
+      message: isRetry ? "Session completed" : "Session already completed",
+      sessionId,
+      count: await getCount(counterKey),
+      duplicate: true
+    };
+  }
+
+  const newCount = await getCount(counterKey);
+
+  // === Optional SNS Notification ===
+  // If you'd like to notify a Slack channel or trigger downstream updates when surveys are completed,
+  // configure SNS_TOPIC_ARN in your Lambda environment variables. If it's missing, this is skipped.
+  if (SNS_TOPIC_ARN) {
+    await snsClient.send(new PublishCommand({
+      TopicArn: SNS_TOPIC_ARN,
+      Subject: "Survey Completed!",
+      Message: `A survey was just completed (${session.surveyId}). New total count: ${newCount}`
+    }));
+  }
+
+  return { message: "Session completed", sessionId, count: newCount };
+}
+
+// === How many answers (ratingIds) the session has rated versus what its study's completion policy requires ===
+async function getRatingProgress(session) {
+  const { Item: study } = await docClient.send(new GetCommand({
+    TableName: SURVEY_STATUS_TABLE,
+    Key: { surveyId: session.surveyId }
+  }));
+  const policy = study?.completionPolicy || DEFAULT_COMPLETION_POLICY;
+
+  // Only ratings of what was served to this participant count. Orders served before they moved to the
+  // assignment row are on the session; without ratingIds questions (questionIds) are counted, and sessions
+  // from before questionIds were stored count every rating
+  const { Item: assignment } = await docClient.send(new GetCommand({
+    TableName: ASSIGNMENTS_TABLE,
+    Key: { sessionId: session.sessionId }
+  }));
+  const order = assignment?.questionIds ? assignment : session;
+  const byRatingId = Array.isArray(order.ratingIds);
+  const servedIds = byRatingId ? order.ratingIds : order.questionIds;
+  const served = Array.isArray(servedIds) ? new Set(servedIds) : null;
+  const ratingIdOf = e => (byRatingId && e.turn !== undefined ? `${e.questionId}#${e.turn}` : e.questionId);
+
+  const events = await getSessionEvents(session);
+  const rated = new Set(
+    events
+      .filter(e => e.type === "rate")
+      .map(ratingIdOf)
+      .filter(id => !served || served.has(id))
+  ).size;
+
+  let required = 0;
+  if (policy === "all") required = served ? served.size : rated;
+  else if (policy === "minimum") required = Math.min(Number(study.minRatings) || 0, served ? served.size : Infinity);
+
+  return { policy, rated, required, met: rated >= required };
+}
+
+// === Session counts for one survey ===
+// If the Sessions table grows large, add a GSI on surveyId and Query it instead of scanning
+async function getSessionStats(surveyId, now = Date.now()) {
+  const sessions = [];
+  let lastKey;
+  do {
+    const page = await docClient.send(new ScanCommand({
+      TableName: SESSIONS_TABLE,
+      FilterExpression: "surveyId = :s",
+      ExpressionAttributeValues: { ":s": surveyId },
+      ExclusiveStartKey: lastKey
+    }));
+    sessions.push(...(page.Items || []));
+    lastKey = page.LastEvaluatedKey;
+  } while (lastKey);
+
+  const completed = sessions.filter(s => s.status === SESSION_STATUSES.COMPLETED).length;
+  const abandoned = sessions.filter(s =>
+    s.status === SESSION_STATUSES.IN_PROGRESS && now - Date.parse(s.lastActivityAt) > ABANDONED_AFTER_MS
+  ).length;
+  const started = sessions.length;
+
   return {
-    statusCode: 404,
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ message: "Not Found" })
+    surveyId,
+    started,
+    inProgress: started - completed - abandoned,
+    completed,
+    abandoned,
+    completionRate: started ? completed / started : null,
+    abandonedAfterMs: ABANDONED_AFTER_MS
   };
-};
+}
+
+async function getCount(counterKey) {
+  const { Item } = await docClient.send(new GetCommand({ TableName: TABLE_NAME, Key: { totalSurveys: counterKey } }));
+  return Item?.count ?? 0;
+}
+
+// === Counter row for a survey ===
+// The default survey keeps using the original global counter so existing counts carry over
+function counterKeyFor(surveyId) {
+  return !surveyId || surveyId === DEFAULT_SURVEY_ID ? COUNTER_KEY : surveyId;
+}
+
+// === JSON response with CORS headers ===
+function response(statusCode, body) {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*"
+    },
+    body: JSON.stringify(body)
+  };
+}
@@ -24,6 +24,7 @@ import SurveyTakerLayout from './SurveyTakerLayout';     // Used for profile vie
 // Pages loaded inside layouts
 import Dashboard from './Dashboard';                     // Shared dashboard for Admin/Researcher
 import GroupSettings from './GroupSettings';             // Group configuration tool
+import SurveyBuilder from './SurveyBuilder';             // Build, reopen and archive participant surveys
 import UserRoleManagement from './UserRoleManagement';   // Admin-only: manage user roles
 import ManageResearchers from './ManageResearchers';     // (Not currently used; candidate for removal/refactor)
 import Closed from './Closed';                           // Fallback screen if survey is unavailable
@@ -57,6 +58,7 @@ function App() {
           <Route path="/admin" element={<AdminLayout />}>
             <Route path="dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
             <Route path="group-settings" element={<ProtectedRoute><GroupSettings /></ProtectedRoute>} />
+            <Route path="survey-builder" element={<ProtectedRoute><SurveyBuilder /></ProtectedRoute>} />
             <Route path="manage-roles" element={<ProtectedRoute><UserRoleManagement /></ProtectedRoute>} />
           </Route>
 
@@ -65,6 +67,7 @@ function App() {
           <Route path="/researcher" element={<ResearcherLayout />}>
             <Route path="dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
             <Route path="group-settings" element={<ProtectedRoute><GroupSettings /></ProtectedRoute>} />
+            <Route path="survey-builder" element={<ProtectedRoute><SurveyBuilder /></ProtectedRoute>} />
           </Route>
 
           {/* === Survey Taker Area (minimal UI, just a profile for now) === */}
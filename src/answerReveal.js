@@ -0,0 +1,14 @@
+// How much of `text` is visible `elapsedMs` after the reveal started, for the timing sent by fakeAI's /ask:
+// { mode: 'instant' } | { mode: 'typewriter', charsPerSecond } | { mode: 'chunks', wordsPerChunk, chunkIntervalMs }
+// The page stops its reveal timer once this reaches text.length.
+
+export const revealedLength = (text, reveal, elapsedMs) => {
+  if (reveal?.mode === 'typewriter') return Math.floor((elapsedMs * reveal.charsPerSecond) / 1000);
+  if (reveal?.mode === 'chunks') {
+    const words = text.match(/\S+\s*/g) || []; // Each word keeps its trailing whitespace
+    const shownWords = (Math.floor(elapsedMs / reveal.chunkIntervalMs) + 1) * reveal.wordsPerChunk;
+    const leading = text.length - text.trimStart().length;
+    return leading + words.slice(0, shownWords).join('').length;
+  }
+  return text.length;
+};
@@ -0,0 +1,36 @@
+import { revealedLength } from './answerReveal';
+
+describe('revealedLength', () => {
+  const text = 'The answer is forty two.';
+
+  test('shows everything at once in instant mode or without reveal settings', () => {
+    expect(revealedLength(text, { mode: 'instant' }, 0)).toBe(text.length);
+    expect(revealedLength(text, undefined, 0)).toBe(text.length);
+  });
+
+  test('typewriter mode reveals charsPerSecond characters per second', () => {
+    const reveal = { mode: 'typewriter', charsPerSecond: 10 };
+    expect(revealedLength(text, reveal, 0)).toBe(0);
+    expect(revealedLength(text, reveal, 250)).toBe(2);
+    expect(revealedLength(text, reveal, 1000)).toBe(10);
+    expect(revealedLength(text, reveal, 10000)).toBeGreaterThanOrEqual(text.length);
+  });
+
+  test('chunks mode shows the first chunk straight away, then one more every interval', () => {
+    const reveal = { mode: 'chunks', wordsPerChunk: 2, chunkIntervalMs: 100 };
+    const shown = (ms) => text.slice(0, revealedLength(text, reveal, ms));
+    expect(shown(0)).toBe('The answer ');
+    expect(shown(99)).toBe('The answer ');
+    expect(shown(100)).toBe('The answer is forty ');
+    expect(shown(200)).toBe(text);
+    expect(revealedLength(text, reveal, 5000)).toBe(text.length);
+  });
+
+  test('chunks mode keeps leading whitespace and line breaks between words', () => {
+    const reveal = { mode: 'chunks', wordsPerChunk: 1, chunkIntervalMs: 100 };
+    const multiline = '  First line\nSecond';
+    expect(multiline.slice(0, revealedLength(multiline, reveal, 0))).toBe('  First ');
+    expect(multiline.slice(0, revealedLength(multiline, reveal, 100))).toBe('  First line\n');
+    expect(revealedLength('', reveal, 0)).toBe(0);
+  });
+});
@@ -61,6 +61,11 @@ function AdminLayout() {
             Group Settings
           </NavLink>
 
+          {/* === NavLink to Survey Builder === */}
+          <NavLink to="/admin/survey-builder" style={navLinkStyle}>
+            Survey Builder
+          </NavLink>
+
           {/* === NavLink to Role Management === */}
           <NavLink to="/admin/manage-roles" style={navLinkStyle}>
             User Role Management
@@ -1,92 +1,402 @@
 import React, { useEffect, useState } from 'react';
 import Closed from './Closed'; // Fallback component shown when survey is disabled
+import { useAuth } from '../contexts/AuthContext';
 
 // === API Endpoints ===
 // These endpoints are hardcoded for now; if you change stages or environments, update them here.
 // You may want to eventually pull them from environment variables or a config file.
 const STATUS_API   = 'https://qvyovlq8u4.execute-api.us-east-2.amazonaws.com/survey-status';      // Survey open/closed state
+const STATUS_LIST_API = `${STATUS_API}/all`;                                                          // Every survey with its state
+const CONSENT_API  = `${STATUS_API}/consent`;                                                           // Versioned consent form per survey
+const CONSENT_RECORDS_API = `${STATUS_API}/consent/records`;                                            // Participants' accept/decline log
 const COUNTER_API  = 'https://psx08kge8h.execute-api.us-east-2.amazonaws.com/getSurveyCounter';   // Total number of completed surveys
+const SESSION_STATS_API = 'https://psx08kge8h.execute-api.us-east-2.amazonaws.com/sessions/stats'; // Started / in-progress / completed / abandoned sessions
 const RATINGS_API  = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/ratings';            // Aggregated rating results from respondents
+const RATING_RECORDS_API = `${RATINGS_API}/records`;                                                 // One row per participant rating
+const QUESTIONNAIRES_API = 'https://tl2l68tv49.execute-api.us-east-2.amazonaws.com/surveys';      // SurveyBuilder surveys usable as pre/post questionnaires
+
+// Human-readable explanations for the closedReason values returned by the status API
+const CLOSED_REASON_LABELS = {
+  'manually-closed': 'Closed manually by a researcher',
+  'not-yet-open'   : 'Scheduled — not open yet',
+  'expired'        : 'Closed — the scheduled window has ended',
+  'quota-reached'  : 'Closed — the maximum number of responses has been reached',
+};
+
+// Convert between ISO timestamps (API) and the local "YYYY-MM-DDTHH:mm" value of <input type="datetime-local">
+const isoToLocalInput = (iso) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const localInputToIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// === Rating instruments — what participants answer about each AI answer (validated by SurveyStatusHandler) ===
+// Item ids become export columns (e.g. trust1..trust7, trustMean, relyYes), so keep them short
+const RATING_ITEM_TYPES = { scale: 'Scale', binary: 'Yes / No', text: 'Free text' };
+const RATING_INSTRUMENT_PRESETS = {
+  'Trust, 1–5 stars (default)': [
+    { id: 'rating', label: 'How trustworthy is this answer?', type: 'scale', min: 1, max: 5, required: true },
+  ],
+  'Trust, 7-point': [
+    { id: 'trust', label: 'How trustworthy is this answer?', type: 'scale', min: 1, max: 7, required: true },
+  ],
+  'Trust, 0–10': [
+    { id: 'trust', label: 'How trustworthy is this answer?', type: 'scale', min: 0, max: 10, required: true },
+  ],
+  'Trust, accuracy, helpfulness + reliance + justification': [
+    { id: 'trust', label: 'How trustworthy is this answer?', type: 'scale', min: 1, max: 7, required: true },
+    { id: 'accuracy', label: 'How accurate is this answer?', type: 'scale', min: 1, max: 7, required: true },
+    { id: 'helpfulness', label: 'How helpful is this answer?', type: 'scale', min: 1, max: 7, required: true },
+    { id: 'rely', label: 'Would you rely on this answer?', type: 'binary', required: true },
+    { id: 'why', label: 'Why did you rate it this way?', type: 'text', required: false },
+  ],
+};
+
+// Export columns: the question first, then every other key in the order it first appears
+const columnsOf = (rows, leading) => [
+  ...leading,
+  ...new Set(rows.flatMap(r => Object.keys(r)).filter(key => !leading.includes(key))),
+];
+
+// === CSV helpers ===
+// Builds CSV text from row objects, taking the columns listed in `header`
+const toCsv = (header, rows) => [
+  header.join(','), // header row
+  ...rows.map(r =>
+    header.map(h => {
+      let cell = r[h] ?? '';
+      if (typeof cell === 'object' && cell !== null) {
+        // Handle DynamoDB object shape if not already normalized
+        if ('S' in cell) cell = cell.S;
+        else if ('N' in cell) cell = cell.N;
+        else cell = JSON.stringify(cell);
+      }
+      cell = cell.toString().replace(/"/g, '""'); // Escape quotes for CSV safety
+      return `"${cell}"`;
+    }).join(',')
+  )
+].join('\r\n');
+
+// Create download blob and trigger browser download
+const downloadCsv = (filename, csv) => {
+  const blob = new Blob([csv], { type:'text/csv;charset=utf-8;' });
+  const url  = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
 
 const Dashboard = () => {
+  const { user } = useAuth();
   const [surveyCount, setSurveyCount] = useState(null);         // Number of completed surveys
-  const [isSurveyOpen, setIsSurveyOpen] = useState(null);       // Open/closed state of the survey
+  const [sessionStats, setSessionStats] = useState(null);       // { started, inProgress, completed, abandoned, completionRate }
+  const [surveys, setSurveys] = useState(null);                 // All surveys with their computed status
+  const [selectedSurveyId, setSelectedSurveyId] = useState(''); // Survey the status controls act on
+  const [newSurveyId, setNewSurveyId] = useState('');           // Input for adding another survey
+  const [schedule, setSchedule] = useState({ opensAt: '', closesAt: '', maxResponses: '' }); // Schedule form
+  const [completion, setCompletion] = useState({ completionPolicy: 'free', minRatings: '' }); // Completion policy form
+  const [ordering, setOrdering] = useState({ questionOrder: 'fixed', orderBlockSize: '' }); // Question order form
+  const [prompting, setPrompting] = useState({ promptInput: 'buttons', fallbackAnswer: '' }); // How participants ask questions
+  const [questionnaireOptions, setQuestionnaireOptions] = useState([]); // SurveyBuilder surveys: [{ surveyId, title }]
+  const [questionnaires, setQuestionnaires] = useState({ preSurveyId: '', postSurveyId: '' }); // Pre/post form
+  const [consentForm, setConsentForm] = useState(null);         // Current consent form { version, text } of the selected survey
+  const [consentDraft, setConsentDraft] = useState('');         // Consent text being edited
+  const [consentCounts, setConsentCounts] = useState(null);     // { accepted, declined } for the selected survey
+  const [instrumentItems, setInstrumentItems] = useState([]);   // Rating instrument being edited
   const [downloading, setDownloading] = useState(false);        // Used to disable button during CSV download
 
-  // === Load total number of completed surveys on mount ===
+  const selectedSurvey = surveys?.find(s => s.surveyId === selectedSurveyId);
+  const isSurveyOpen = selectedSurvey?.isOpen ?? false;                 // Effective state participants see
+  const isManuallyOpen = selectedSurvey?.isManuallyOpen ?? false;       // The researcher-controlled switch
+
+  // === Load number of completed surveys for the selected survey ===
   // If COUNTER_API ever changes shape or authentication is added, adjust parsing here
   useEffect(() => {
-    fetch(COUNTER_API)
+    if (!selectedSurveyId) return;
+    setSurveyCount(null);
+    fetch(`${COUNTER_API}?surveyId=${encodeURIComponent(selectedSurveyId)}`)
       .then(r => r.ok ? r.json() : Promise.reject())
       .then(d => setSurveyCount(d.count))
       .catch(() => setSurveyCount('Unavailable'));
+
+    setSessionStats(null);
+    fetch(`${SESSION_STATS_API}?surveyId=${encodeURIComponent(selectedSurveyId)}`)
+      .then(r => r.ok ? r.json() : Promise.reject())
+      .then(setSessionStats)
+      .catch(() => setSessionStats(null));
+  }, [selectedSurveyId]);
+
+  // === Reset the schedule form when a different survey is selected ===
+  useEffect(() => {
+    setSchedule({
+      opensAt: isoToLocalInput(selectedSurvey?.opensAt),
+      closesAt: isoToLocalInput(selectedSurvey?.closesAt),
+      maxResponses: selectedSurvey?.maxResponses ?? '',
+    });
+  }, [selectedSurvey?.surveyId, selectedSurvey?.opensAt, selectedSurvey?.closesAt, selectedSurvey?.maxResponses]);
+
+  // === Load the selected survey's consent form and consent counts ===
+  useEffect(() => {
+    if (!selectedSurveyId) return;
+    const query = `?surveyId=${encodeURIComponent(selectedSurveyId)}`;
+    setConsentForm(null);
+    setConsentCounts(null);
+    fetch(`${CONSENT_API}${query}`)
+      .then(r => r.ok ? r.json() : Promise.reject())
+      .then(form => { setConsentForm(form); setConsentDraft(form.text); })
+      .catch(() => setConsentForm(null));
+    fetch(`${CONSENT_RECORDS_API}${query}`)
+      .then(r => r.ok ? r.json() : Promise.reject())
+      .then(d => setConsentCounts({ accepted: d.accepted, declined: d.declined }))
+      .catch(() => setConsentCounts(null));
+  }, [selectedSurveyId]);
+
+  // === Reset the completion policy form when a different survey is selected ===
+  useEffect(() => {
+    setCompletion({
+      completionPolicy: selectedSurvey?.completionPolicy ?? 'free',
+      minRatings: selectedSurvey?.minRatings ?? '',
+    });
+  }, [selectedSurvey?.surveyId, selectedSurvey?.completionPolicy, selectedSurvey?.minRatings]);
+
+  // === Reset the rating instrument editor when a different survey is selected ===
+  useEffect(() => {
+    setInstrumentItems(selectedSurvey?.ratingInstrument?.items ?? []);
+  }, [selectedSurvey?.surveyId, selectedSurvey?.ratingInstrument]);
+
+  // === Reset the question order form when a different survey is selected ===
+  useEffect(() => {
+    setOrdering({
+      questionOrder: selectedSurvey?.questionOrder ?? 'fixed',
+      orderBlockSize: selectedSurvey?.orderBlockSize ?? '',
+    });
+  }, [selectedSurvey?.surveyId, selectedSurvey?.questionOrder, selectedSurvey?.orderBlockSize]);
+
+  // === Reset the prompt input form when a different survey is selected ===
+  useEffect(() => {
+    setPrompting({
+      promptInput: selectedSurvey?.promptInput ?? 'buttons',
+      fallbackAnswer: selectedSurvey?.fallbackAnswer ?? '',
+    });
+  }, [selectedSurvey?.surveyId, selectedSurvey?.promptInput, selectedSurvey?.fallbackAnswer]);
+
+  // === Reset the questionnaire form when a different survey is selected ===
+  useEffect(() => {
+    setQuestionnaires({
+      preSurveyId: selectedSurvey?.preSurveyId ?? '',
+      postSurveyId: selectedSurvey?.postSurveyId ?? '',
+    });
+  }, [selectedSurvey?.surveyId, selectedSurvey?.preSurveyId, selectedSurvey?.postSurveyId]);
+
+  // === Load the SurveyBuilder surveys that can be attached as questionnaires ===
+  useEffect(() => {
+    fetch(QUESTIONNAIRES_API)
+      .then(r => r.ok ? r.json() : Promise.reject())
+      .then(setQuestionnaireOptions)
+      .catch(() => setQuestionnaireOptions([]));
   }, []);
 
-  // === Load whether the survey is currently open ===
-  // Response is expected in format: { isOpen: true/false }
+  // === Load every survey and whether it is currently open ===
+  // Response is expected in format: [{ surveyId, isOpen, isManuallyOpen, closedReason, opensAt, closesAt, ... }]
   useEffect(() => {
-    fetch(STATUS_API)
-      .then(r => r.json())
-      .then(d => setIsSurveyOpen(d.isOpen))
-      .catch(() => setIsSurveyOpen(false));
+    fetch(STATUS_LIST_API)
+      .then(r => r.ok ? r.json() : Promise.reject())
+      .then(list => {
+        setSurveys(list);
+        if (list.length) setSelectedSurveyId(list[0].surveyId);
+      })
+      .catch(() => setSurveys([]));
   }, []);
 
-  // === Toggle the open/closed state of the survey ===
+  // === Update a survey's manual switch and/or schedule ===
   // This POSTs to the same endpoint used for GET but includes a JSON body
   // ⚠️ If your backend adds authentication, make sure to include headers like Authorization
+  const updateSurvey = async (surveyId, changes) => {
+    const res = await fetch(STATUS_API, {
+      method : 'POST',
+      headers: { 'Content-Type':'application/json' },
+      body   : JSON.stringify({ surveyId, ...changes })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message);
+
+    // Update UI state after success, adding the survey if it is new
+    const { message, ...status } = data;
+    setSurveys(prev => {
+      const rest = (prev || []).filter(s => s.surveyId !== status.surveyId);
+      return [...rest, status].sort((a, b) => a.surveyId.localeCompare(b.surveyId));
+    });
+    setSelectedSurveyId(status.surveyId);
+  };
+
   const toggleSurvey = async () => {
     try {
-      const res = await fetch(STATUS_API, {
+      await updateSurvey(selectedSurveyId, { isOpen: !isManuallyOpen });
+    } catch {
+      alert('Something went wrong while toggling the survey status.');
+    }
+  };
+
+  // Empty fields clear that part of the schedule
+  const saveSchedule = async () => {
+    try {
+      await updateSurvey(selectedSurveyId, {
+        opensAt: localInputToIso(schedule.opensAt),
+        closesAt: localInputToIso(schedule.closesAt),
+        maxResponses: schedule.maxResponses === '' ? null : Number(schedule.maxResponses),
+      });
+    } catch (err) {
+      alert(err.message || 'Something went wrong while saving the schedule.');
+    }
+  };
+
+  // minRatings only applies to the "minimum" policy
+  const saveCompletionPolicy = async () => {
+    try {
+      await updateSurvey(selectedSurveyId, {
+        completionPolicy: completion.completionPolicy,
+        minRatings: completion.completionPolicy === 'minimum' && completion.minRatings !== '' ? Number(completion.minRatings) : null,
+      });
+    } catch (err) {
+      alert(err.message || 'Something went wrong while saving the completion policy.');
+    }
+  };
+
+  // orderBlockSize only applies to the "blocked" order; participants who already started keep their order
+  const saveQuestionOrder = async () => {
+    try {
+      await updateSurvey(selectedSurveyId, {
+        questionOrder: ordering.questionOrder,
+        orderBlockSize: ordering.questionOrder === 'blocked' && ordering.orderBlockSize !== '' ? Number(ordering.orderBlockSize) : null,
+      });
+    } catch (err) {
+      alert(err.message || 'Something went wrong while saving the question order.');
+    }
+  };
+
+  // An empty fallback answer restores the default text
+  const savePromptInput = async () => {
+    try {
+      await updateSurvey(selectedSurveyId, {
+        promptInput: prompting.promptInput,
+        fallbackAnswer: prompting.fallbackAnswer.trim() || null,
+      });
+    } catch (err) {
+      alert(err.message || 'Something went wrong while saving the prompt settings.');
+    }
+  };
+
+  // === Rating instrument editor ===
+  const updateInstrumentItem = (index, changes) =>
+    setInstrumentItems(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  const addInstrumentItem = () =>
+    setInstrumentItems(prev => [...prev, { id: '', label: '', type: 'scale', min: 1, max: 5, required: true }]);
+  const removeInstrumentItem = (index) => setInstrumentItems(prev => prev.filter((_, i) => i !== index));
+
+  const saveRatingInstrument = async () => {
+    try {
+      await updateSurvey(selectedSurveyId, {
+        ratingInstrument: {
+          items: instrumentItems.map(item => ({
+            ...item,
+            id: item.id.trim(),
+            ...(item.type === 'scale' ? { min: Number(item.min), max: Number(item.max) } : {}),
+          })),
+        },
+      });
+    } catch (err) {
+      alert(err.message || 'Something went wrong while saving the rating instrument.');
+    }
+  };
+
+  // Empty selections detach that questionnaire
+  const saveQuestionnaires = async () => {
+    try {
+      await updateSurvey(selectedSurveyId, {
+        preSurveyId: questionnaires.preSurveyId || null,
+        postSurveyId: questionnaires.postSurveyId || null,
+      });
+    } catch (err) {
+      alert(err.message || 'Something went wrong while saving the questionnaires.');
+    }
+  };
+
+  // === Publish the edited consent text as a new version ===
+  // Earlier versions are kept, so participants' records still point at the text they saw
+  const publishConsent = async () => {
+    if (!window.confirm('Publish this text as a new consent form version? New participants will see it from now on.')) return;
+    try {
+      const res = await fetch(CONSENT_API, {
         method : 'POST',
         headers: { 'Content-Type':'application/json' },
-        body   : JSON.stringify({ isOpen: !isSurveyOpen })
+        body   : JSON.stringify({
+          surveyId: selectedSurveyId,
+          text: consentDraft,
+          createdBy: user?.signInDetails?.loginId || user?.username || ''
+        })
       });
-      if (!res.ok) throw new Error();
       const data = await res.json();
-      setIsSurveyOpen(data.isOpen); // Update UI state after success
+      if (!res.ok) throw new Error(data.message);
+      const { message, ...form } = data;
+      setConsentForm(form);
+    } catch (err) {
+      alert(err.message || 'Something went wrong while publishing the consent form.');
+    }
+  };
+
+  // === Export the consent log (each participant's latest decision; history lists earlier ones) ===
+  const downloadConsentLog = async () => {
+    try {
+      const res = await fetch(`${CONSENT_RECORDS_API}?surveyId=${encodeURIComponent(selectedSurveyId)}`);
+      if (!res.ok) throw new Error('Failed to fetch consent log');
+      const { records } = await res.json();
+      downloadCsv(
+        `consent-log-${selectedSurveyId}.csv`,
+        toCsv(['sessionId','decision','version','decidedAt','history'], records)
+      );
+    } catch (err) {
+      console.error(err);
+      alert('Unable to download the consent log.');
+    }
+  };
+
+  // New surveys start closed until a researcher opens them
+  const addSurvey = async () => {
+    const surveyId = newSurveyId.trim();
+    if (!surveyId) return;
+    if (surveys?.some(s => s.surveyId === surveyId)) {
+      setSelectedSurveyId(surveyId);
+      setNewSurveyId('');
+      return;
+    }
+    try {
+      await updateSurvey(surveyId, { isOpen: false });
+      setNewSurveyId('');
     } catch {
-      alert('Something went wrong while toggling the survey status.');
+      alert('Something went wrong while adding the survey.');
     }
   };
 
   // === Export CSV with question-level ratings ===
-  // Transforms a response like [{ questionId, rating1, ... }] into a downloadable file
+  // Transforms a response like [{ questionId, question, correctness, tags, rating1, ..., ratingMean, relyYes, ... }] into a downloadable file
+  // The columns depend on the selected survey's rating instrument
   const downloadResults = async () => {
     try {
       setDownloading(true);
-      const res = await fetch(RATINGS_API);
+      const query = selectedSurveyId ? `?surveyId=${encodeURIComponent(selectedSurveyId)}` : '';
+      const res = await fetch(`${RATINGS_API}${query}`);
       if (!res.ok) throw new Error('Failed to fetch ratings');
       const rows = await res.json();
 
-      // Define CSV header and flatten each row
-      const header = ['questionId','question','rating1','rating2','rating3','rating4','rating5'];
-      const csvLines = [
-        header.join(','), // header row
-        ...rows.map(r =>
-          header.map(h => {
-            let cell = r[h] ?? '';
-            if (typeof cell === 'object' && cell !== null) {
-              // Handle DynamoDB object shape if not already normalized
-              if ('S' in cell) cell = cell.S;
-              else if ('N' in cell) cell = cell.N;
-              else cell = JSON.stringify(cell);
-            }
-            cell = cell.toString().replace(/"/g, '""'); // Escape quotes for CSV safety
-            return `"${cell}"`;
-          }).join(',')
-        )
-      ];
-
-      // Create download blob and trigger browser download
-      const blob = new Blob([csvLines.join('\r\n')], { type:'text/csv;charset=utf-8;' });
-      const url  = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'responses.csv';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadCsv(
+        selectedSurveyId ? `responses-${selectedSurveyId}.csv` : 'responses.csv',
+        toCsv(columnsOf(rows, ['questionId','question', ...(rows.some(r => 'turn' in r) ? ['turn'] : []), 'correctness','tags']), rows)
+      );
     } catch (err) {
       console.error(err);
       alert('Unable to download results.');
@@ -95,8 +405,26 @@ const Dashboard = () => {
     }
   };
 
+  // === Export every individual rating, including free-text answers ===
+  const downloadRatingRecords = async () => {
+    try {
+      setDownloading(true);
+      const res = await fetch(`${RATING_RECORDS_API}?surveyId=${encodeURIComponent(selectedSurveyId)}`);
+      if (!res.ok) throw new Error('Failed to fetch rating records');
+      const rows = await res.json();
+
+      const leading = ['sessionId','surveyId','questionId','question','turn','correctness','tags','groupId','ratedAt','revision','answerToRatingMs'];
+      downloadCsv(`rating-records-${selectedSurveyId}.csv`, toCsv(columnsOf(rows, leading), rows));
+    } catch (err) {
+      console.error(err);
+      alert('Unable to download rating records.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
   // === Render loading state while checking status ===
-  if (isSurveyOpen === null)
+  if (surveys === null)
     return <div>Loading survey status…</div>;
 
   return (
@@ -109,33 +437,310 @@ const Dashboard = () => {
         <strong>Total Surveys Completed:</strong> {surveyCount ?? 'Loading…'}
       </div>
 
+      {/* Participant sessions — a session starts when consent is accepted; declines are counted under Consent Form */}
+      {sessionStats && (
+        <div style={{ marginTop:'0.5rem' }}>
+          Sessions: {sessionStats.started} started · {sessionStats.inProgress} in progress ·{' '}
+          {sessionStats.completed} completed · {sessionStats.abandoned} abandoned
+          {' '}(inactive for {Math.round(sessionStats.abandonedAfterMs / 60000)} min) ·{' '}
+          completion rate {sessionStats.completionRate === null ? 'n/a' : `${Math.round(sessionStats.completionRate * 100)}%`}
+        </div>
+      )}
+
+      {/* Survey selector — status controls below apply to the selected survey */}
+      <div style={{ marginTop:'2rem', display:'flex', justifyContent:'center', alignItems:'center', gap:'0.5rem' }}>
+        <strong>Survey:</strong>
+        <select
+          value={selectedSurveyId}
+          onChange={e => setSelectedSurveyId(e.target.value)}
+          disabled={!surveys.length}
+        >
+          {!surveys.length && <option value="">No surveys yet</option>}
+          {surveys.map(s => (
+            <option key={s.surveyId} value={s.surveyId}>
+              {s.surveyId} ({s.isOpen ? 'open' : 'closed'})
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="New survey ID"
+          value={newSurveyId}
+          onChange={e => setNewSurveyId(e.target.value)}
+        />
+        <button onClick={addSurvey} disabled={!newSurveyId.trim()}>Add Survey</button>
+      </div>
+
       {/* Toggle survey open/closed */}
       <div style={{ marginTop:'2rem' }}>
         <strong>Survey Status:</strong>
         <button
           onClick={toggleSurvey}
+          disabled={!selectedSurveyId}
           style={{
             marginLeft:'1rem',
             padding:'0.5rem 1rem',
-            backgroundColor: isSurveyOpen ? '#600000' : '#007bff',
+            backgroundColor: isManuallyOpen ? '#600000' : '#007bff',
             color:'#fff',
             border:'none',
             borderRadius:'8px'
           }}>
-          {isSurveyOpen ? 'Close Survey' : 'Open Survey'}
+          {isManuallyOpen ? 'Close Survey' : 'Open Survey'}
         </button>
       </div>
 
+      {/* Schedule and quota — the survey is only open inside this window and below the quota */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'1rem', display:'flex', justifyContent:'center', alignItems:'center', gap:'0.5rem', flexWrap:'wrap' }}>
+          <label>
+            Opens at{' '}
+            <input
+              type="datetime-local"
+              value={schedule.opensAt}
+              onChange={e => setSchedule(prev => ({ ...prev, opensAt: e.target.value }))}
+            />
+          </label>
+          <label>
+            Closes at{' '}
+            <input
+              type="datetime-local"
+              value={schedule.closesAt}
+              onChange={e => setSchedule(prev => ({ ...prev, closesAt: e.target.value }))}
+            />
+          </label>
+          <label>
+            Max responses{' '}
+            <input
+              type="number"
+              min="1"
+              placeholder="No limit"
+              value={schedule.maxResponses}
+              onChange={e => setSchedule(prev => ({ ...prev, maxResponses: e.target.value }))}
+              style={{ width:'7rem' }}
+            />
+          </label>
+          <button onClick={saveSchedule}>Save Schedule</button>
+        </div>
+      )}
+
+      {/* Rating policy — what happens when a participant rates the same answer twice */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'1rem' }}>
+          <label>
+            Repeat ratings{' '}
+            <select
+              value={selectedSurvey?.ratingPolicy ?? 'overwrite'}
+              onChange={e => updateSurvey(selectedSurveyId, { ratingPolicy: e.target.value })
+                .catch(err => alert(err.message || 'Something went wrong while saving the rating policy.'))}
+            >
+              <option value="overwrite">Replace the earlier rating</option>
+              <option value="reject">Keep the first rating</option>
+            </select>
+          </label>
+        </div>
+      )}
+
+      {/* Rating instrument — the questions participants answer about each AI answer */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'2rem', border:'1px solid #ccc', padding:'1rem', textAlign:'left' }}>
+          <h3 style={{ marginTop:0 }}>Rating Instrument</h3>
+          <label>
+            Start from a preset{' '}
+            <select
+              value=""
+              onChange={e => e.target.value && setInstrumentItems(RATING_INSTRUMENT_PRESETS[e.target.value])}
+            >
+              <option value="">Choose…</option>
+              {Object.keys(RATING_INSTRUMENT_PRESETS).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          {instrumentItems.map((item, index) => (
+            <div key={index} style={{ marginTop:'0.5rem', display:'flex', gap:'0.5rem', alignItems:'center', flexWrap:'wrap' }}>
+              <input
+                placeholder="ID (e.g. trust)"
+                value={item.id}
+                onChange={e => updateInstrumentItem(index, { id: e.target.value })}
+                style={{ width:'8rem' }}
+              />
+              <input
+                placeholder="Question shown to participants"
+                value={item.label}
+                onChange={e => updateInstrumentItem(index, { label: e.target.value })}
+                style={{ flex:1, minWidth:'12rem' }}
+              />
+              <select value={item.type} onChange={e => updateInstrumentItem(index, { type: e.target.value })}>
+                {Object.entries(RATING_ITEM_TYPES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+              </select>
+              {item.type === 'scale' && (
+                <>
+                  <input type="number" min="0" value={item.min ?? 1} onChange={e => updateInstrumentItem(index, { min: e.target.value })} style={{ width:'4rem' }} />
+                  to
+                  <input type="number" min="1" value={item.max ?? 5} onChange={e => updateInstrumentItem(index, { max: e.target.value })} style={{ width:'4rem' }} />
+                </>
+              )}
+              <label>
+                <input type="checkbox" checked={item.required} onChange={e => updateInstrumentItem(index, { required: e.target.checked })} /> Required
+              </label>
+              <button onClick={() => removeInstrumentItem(index)} disabled={instrumentItems.length <= 1}>Remove</button>
+            </div>
+          ))}
+          <div style={{ marginTop:'0.5rem', display:'flex', gap:'0.5rem' }}>
+            <button onClick={addInstrumentItem}>Add Item</button>
+            <button onClick={saveRatingInstrument} disabled={!instrumentItems.length}>Save Rating Instrument</button>
+          </div>
+        </div>
+      )}
+
+      {/* Completion policy — how many AI answers must be rated before "Finished" is allowed */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'1rem', display:'flex', justifyContent:'center', alignItems:'center', gap:'0.5rem', flexWrap:'wrap' }}>
+          <label>
+            Finishing requires{' '}
+            <select
+              value={completion.completionPolicy}
+              onChange={e => setCompletion(prev => ({ ...prev, completionPolicy: e.target.value }))}
+            >
+              <option value="free">Nothing — participants can finish any time</option>
+              <option value="all">Every question rated</option>
+              <option value="minimum">A minimum number rated</option>
+            </select>
+          </label>
+          {completion.completionPolicy === 'minimum' && (
+            <input
+              type="number"
+              min="1"
+              placeholder="Minimum"
+              value={completion.minRatings}
+              onChange={e => setCompletion(prev => ({ ...prev, minRatings: e.target.value }))}
+              style={{ width:'6rem' }}
+            />
+          )}
+          <button onClick={saveCompletionPolicy}>Save Completion Policy</button>
+        </div>
+      )}
+
+      {/* Question order — counters order effects; the order each participant saw is stored on their session */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'1rem', display:'flex', justifyContent:'center', alignItems:'center', gap:'0.5rem', flexWrap:'wrap' }}>
+          <label>
+            Question order{' '}
+            <select
+              value={ordering.questionOrder}
+              onChange={e => setOrdering(prev => ({ ...prev, questionOrder: e.target.value }))}
+            >
+              <option value="fixed">Fixed — as configured in Group Settings</option>
+              <option value="random">Random per participant</option>
+              <option value="latin-square">Latin square (counterbalanced)</option>
+              <option value="blocked">Random within blocks</option>
+            </select>
+          </label>
+          {ordering.questionOrder === 'blocked' && (
+            <input
+              type="number"
+              min="1"
+              placeholder="Block size"
+              value={ordering.orderBlockSize}
+              onChange={e => setOrdering(prev => ({ ...prev, orderBlockSize: e.target.value }))}
+              style={{ width:'6rem' }}
+            />
+          )}
+          <button onClick={saveQuestionOrder}>Save Question Order</button>
+        </div>
+      )}
+
+      {/* Prompt input — typed prompts are matched to a question by keywords (Group Settings) and similarity */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'1rem', display:'flex', justifyContent:'center', alignItems:'center', gap:'0.5rem', flexWrap:'wrap' }}>
+          <label>
+            Participants ask by{' '}
+            <select
+              value={prompting.promptInput}
+              onChange={e => setPrompting(prev => ({ ...prev, promptInput: e.target.value }))}
+            >
+              <option value="buttons">Clicking question buttons</option>
+              <option value="free-text">Typing their own question</option>
+              <option value="both">Either</option>
+            </select>
+          </label>
+          {prompting.promptInput !== 'buttons' && (
+            <input
+              placeholder="Answer when no question matches"
+              value={prompting.fallbackAnswer}
+              onChange={e => setPrompting(prev => ({ ...prev, fallbackAnswer: e.target.value }))}
+              style={{ width:'24rem' }}
+            />
+          )}
+          <button onClick={savePromptInput}>Save Prompt Settings</button>
+        </div>
+      )}
+
+      {/* Pre/post questionnaires — SurveyBuilder surveys shown before and after the AI session */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'1rem', display:'flex', justifyContent:'center', alignItems:'center', gap:'0.5rem', flexWrap:'wrap' }}>
+          {[['preSurveyId', 'Pre-questionnaire'], ['postSurveyId', 'Post-questionnaire']].map(([field, label]) => (
+            <label key={field}>
+              {label}{' '}
+              <select
+                value={questionnaires[field]}
+                onChange={e => setQuestionnaires(prev => ({ ...prev, [field]: e.target.value }))}
+              >
+                <option value="">None</option>
+                {questionnaireOptions.map(q => (
+                  <option key={q.surveyId} value={q.surveyId}>{q.title}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <button onClick={saveQuestionnaires}>Save Questionnaires</button>
+        </div>
+      )}
+
+      {/* Consent form — editing publishes a new version; declines are counted separately from dropouts */}
+      {selectedSurveyId && (
+        <div style={{ marginTop:'2rem', border:'1px solid #ccc', padding:'1rem', textAlign:'left' }}>
+          <h3 style={{ marginTop:0 }}>
+            Consent Form {consentForm && `(version ${consentForm.version}${consentForm.version === 0 ? ' — default' : ''})`}
+          </h3>
+          <textarea
+            value={consentDraft}
+            onChange={e => setConsentDraft(e.target.value)}
+            disabled={!consentForm}
+            style={{ width:'100%', minHeight:'10rem', boxSizing:'border-box' }}
+          />
+          <div style={{ marginTop:'0.5rem', display:'flex', gap:'0.5rem', alignItems:'center', flexWrap:'wrap' }}>
+            <button
+              onClick={publishConsent}
+              disabled={!consentForm || !consentDraft.trim() || consentDraft === consentForm.text}
+            >
+              Publish New Version
+            </button>
+            <button onClick={downloadConsentLog}>Download Consent Log (CSV)</button>
+            <span>
+              {consentCounts
+                ? `${consentCounts.accepted} accepted, ${consentCounts.declined} declined`
+                : 'Consent counts unavailable'}
+            </span>
+          </div>
+        </div>
+      )}
+
       {/* Visual status block */}
       <div style={{ marginTop:'2rem', border:'1px solid #ccc', padding:'1rem' }}>
         {isSurveyOpen
           ? (
               <>
-                <h3>Survey is currently OPEN</h3>
-                <p>Survey takers will be able to see the survey.</p>
+                <h3>Survey "{selectedSurveyId}" is currently OPEN</h3>
+                <p>Survey takers will be able to see the survey at <code>/simulated-ai?surveyId={selectedSurveyId}</code>.</p>
+              </>
+            )
+          : (
+              <>
+                {selectedSurvey?.closedReason && (
+                  <p><strong>{CLOSED_REASON_LABELS[selectedSurvey.closedReason]}</strong></p>
+                )}
+                <Closed />
               </>
             )
-          : (<Closed />)
         }
       </div>
 
@@ -155,6 +760,11 @@ const Dashboard = () => {
           }}>
           {downloading ? 'Preparing…' : 'Download Results (CSV)'}
         </button>
+        {selectedSurveyId && (
+          <button onClick={downloadRatingRecords} disabled={downloading} style={{ marginLeft:'0.5rem' }}>
+            Download Individual Ratings (CSV)
+          </button>
+        )}
       </div>
     </div>
   );
@@ -6,8 +6,29 @@ import axios from 'axios';
 
 const API_BASE_URL = 'https://8rtdjjqrv7.execute-api.us-east-2.amazonaws.com';
 
+// Reserved groupId holding the condition assignment settings (see GroupConfigLambda)
+const ASSIGNMENT_KEY = 'ASSIGNMENT';
+const NEW_GROUP = '';
+
+// Researcher-only labels for how an answer was manipulated; participants never see them (see fakeAI)
+const CORRECTNESS_OPTIONS = {
+  '': 'Not set',
+  correct: 'Correct',
+  'subtly-wrong': 'Subtly wrong',
+  'blatantly-wrong': 'Blatantly wrong',
+};
+
+// How the final answer appears to participants (see GroupConfigLambda); empty parameters use fakeAI's defaults
+const REVEAL_MODES = {
+  instant: 'Instant — whole answer at once',
+  typewriter: 'Typewriter — character by character',
+  chunks: 'Streaming — a few words at a time',
+};
+
 const GroupSettings = () => {
   const [questions, setQuestions] = useState([]);
+  const [loadedGroupIds, setLoadedGroupIds] = useState([]); // Groups that existed when the page loaded
+  const [assignment, setAssignment] = useState({ mode: 'round-robin', blockSize: 0, weights: {} });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -26,26 +47,48 @@ const GroupSettings = () => {
               fontFace: q.fontFace || group.fontFace || 'Arial',
               colorScheme: q.colorScheme || group.colorScheme || '#000000',
               groupId: group.groupId,
+              // Saved before question ids existed; page-only flag, never sent back (see handleSubmit)
+              ...(q.id ? {} : { legacy: true }),
             });
           });
         });
 
         setQuestions(all);
+        setLoadedGroupIds(data.map(group => group.groupId));
       } catch (err) {
         console.error('Fetch error:', err);
         setError('Error loading saved questions');
       }
     };
 
+    const fetchAssignment = async () => {
+      try {
+        const res = await axios.get(`${API_BASE_URL}/research-groups/${ASSIGNMENT_KEY}/config`);
+        setAssignment({
+          mode: res.data.mode || 'round-robin',
+          blockSize: res.data.blockSize || 0,
+          weights: res.data.weights || {},
+        });
+      } catch (err) {
+        console.error('Assignment fetch error:', err);
+      }
+    };
+
     fetchSettings();
+    fetchAssignment();
   }, []);
 
+  // Distinct saved group ids, in numeric order, for the group picker and weights table
+  const groupIds = [...new Set(questions.map(q => q.groupId).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
   const addQuestion = () => {
     setQuestions(prev => [
       ...prev,
       {
         question: '',
         delay: '',
+        revealMode: 'instant',
         preAnswer: '',
         answer: '',
         fontFace: 'Arial',
@@ -58,21 +101,34 @@ const GroupSettings = () => {
     setQuestions(prev => prev.map((q, i) => (i === index ? { ...q, [field]: value } : q)));
   };
 
+  // Saved questions are deleted by id; the page is only updated once the backend has removed them.
+  // Unsaved questions have no id and only exist on this page.
   const removeQuestion = async (index) => {
     const q = questions[index];
-    if (q.groupId) {
+    if (!q.id && q.legacy) {
+      setError('This question was saved before question ids existed. Run lambda/fakeAI/migrateQuestionIds.js, reload this page, then delete it.');
+      return;
+    }
+    if (q.id && q.groupId) {
       try {
         await axios.delete(`${API_BASE_URL}/research-groups/${q.groupId}/config`, {
-          data: { questionText: q.question },
+          data: { questionId: q.id },
         });
       } catch (err) {
         console.error('Delete error:', err);
-        setError('Failed to delete question from DynamoDB');
+        setError(err.response?.data?.message || 'Failed to delete question from DynamoDB');
+        return;
       }
     }
+    // The backend drops a group row once its last question is deleted
+    if (q.groupId && !questions.some((other, i) => i !== index && other.groupId === q.groupId)) {
+      setLoadedGroupIds(prev => prev.filter(id => id !== q.groupId));
+    }
     setQuestions(prev => prev.filter((_, i) => i !== index));
   };
 
+  // Each group is one experimental condition, so all of its questions are saved together.
+  // Questions without a group become a new group of their own.
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -81,39 +137,72 @@ const GroupSettings = () => {
     try {
       const updatedQuestions = [...questions];
 
-      for (let i = 0; i < questions.length; i++) {
-        const q = questions[i];
+      const batches = new Map(); // groupId (or a placeholder for new groups) -> question indexes
+      questions.forEach((q, i) => {
         const groupId = q.groupId && q.groupId !== "undefined" ? q.groupId : undefined;
+        const key = groupId || `new-${i}`;
+        if (!batches.has(key)) batches.set(key, { groupId, indexes: [] });
+        batches.get(key).indexes.push(i);
+      });
 
+      // Groups whose questions were all moved elsewhere are saved empty so they stop being served
+      loadedGroupIds
+        .filter(id => !batches.has(id))
+        .forEach(id => batches.set(id, { groupId: id, indexes: [] }));
+
+      for (const { groupId, indexes } of batches.values()) {
         const endpoint = groupId
           ? `${API_BASE_URL}/research-groups/${groupId}/config`
           : `${API_BASE_URL}/research-groups/undefined/config`;
+        // Each question carries its own style; the group row keeps the first one as a default for older readers
+        const first = questions[indexes[0]] || {};
 
         const res = await axios.put(endpoint, {
-          fontFace: q.fontFace,
-          colorScheme: q.colorScheme,
-          questions: [q],
+          fontFace: first.fontFace,
+          colorScheme: first.colorScheme,
+          questions: indexes.map(i => {
+            const { legacy, ...question } = questions[i];
+            return question;
+          }),
         });
 
-        // ✅ Assign new groupId if it was undefined
-        if (!q.groupId && res.data.message.includes("Saved group")) {
-          const match = res.data.message.match(/Saved group (\d+)/);
-          if (match) {
-            updatedQuestions[i].groupId = match[1];
-          }
-        }
+        // Keep the assigned groupId and persistent question ids so the next save reuses them
+        indexes.forEach((qIndex, pos) => {
+          updatedQuestions[qIndex] = {
+            ...updatedQuestions[qIndex],
+            groupId: res.data.groupId || groupId,
+            id: res.data.questions?.[pos]?.id || updatedQuestions[qIndex].id,
+          };
+        });
       }
 
       setQuestions(updatedQuestions);
+      setLoadedGroupIds([...new Set(updatedQuestions.map(q => q.groupId))]);
       alert(`${questions.length} questions saved successfully!`);
     } catch (err) {
       console.error('Save error:', err);
-      setError('Error saving one or more questions.');
+      setError(err.response?.data?.message || 'Error saving one or more questions.');
     } finally {
       setLoading(false);
     }
   };
 
+  // === Save condition assignment settings ===
+  const saveAssignment = async () => {
+    setError(null);
+    try {
+      await axios.put(`${API_BASE_URL}/research-groups/${ASSIGNMENT_KEY}/config`, assignment);
+      alert('Assignment settings saved!');
+    } catch (err) {
+      console.error('Assignment save error:', err);
+      setError(err.response?.data?.message || 'Error saving assignment settings.');
+    }
+  };
+
+  const updateWeight = (groupId, value) => {
+    setAssignment(prev => ({ ...prev, weights: { ...prev.weights, [groupId]: value } }));
+  };
+
   const inputStyle = {
     padding: '0.75rem',
     margin: '0.75rem 0',
@@ -121,6 +210,114 @@ const GroupSettings = () => {
     boxSizing: 'border-box',
   };
 
+  // === Scripted follow-up turns of a question's conversation ===
+  const updateTurn = (index, turnIndex, field, value) => {
+    setQuestions(prev => prev.map((q, i) => (i === index
+      ? { ...q, turns: q.turns.map((t, j) => (j === turnIndex ? { ...t, [field]: value } : t)) }
+      : q)));
+  };
+
+  const addTurn = (index) => {
+    setQuestions(prev => prev.map((q, i) => (i === index
+      ? {
+          ...q,
+          turns: [...(q.turns || []), {
+            prompt: '',
+            preAnswer: '',
+            answer: '',
+            delay: '',
+            revealMode: q.revealMode || 'instant',
+            fontFace: q.fontFace,
+            colorScheme: q.colorScheme,
+          }],
+        }
+      : q)));
+  };
+
+  const removeTurn = (index, turnIndex) => {
+    setQuestions(prev => prev.map((q, i) => (i === index
+      ? { ...q, turns: q.turns.filter((_, j) => j !== turnIndex) }
+      : q)));
+  };
+
+  // Correctness and tags, shared by questions and turns — included in the ratings exports
+  const renderAnswerMetaFields = (item, update) => (
+    <>
+      <label>Answer Correctness (hidden from participants):</label>
+      <select
+        value={item.correctness || ''}
+        onChange={(e) => update('correctness', e.target.value)}
+        style={inputStyle}
+      >
+        {Object.entries(CORRECTNESS_OPTIONS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <label>Answer Tags (comma-separated, hidden from participants):</label>
+      <input
+        type="text"
+        placeholder="e.g. hedged, confident tone"
+        value={item.tags || ''}
+        onChange={(e) => update('tags', e.target.value)}
+        style={inputStyle}
+      />
+    </>
+  );
+
+  // Reveal mode and its timing, shared by questions and turns
+  const renderRevealFields = (item, update) => (
+    <>
+      <label>Answer Reveal:</label>
+      <select
+        value={item.revealMode || 'instant'}
+        onChange={(e) => update('revealMode', e.target.value)}
+        style={inputStyle}
+      >
+        {Object.entries(REVEAL_MODES).map(([mode, label]) => (
+          <option key={mode} value={mode}>{label}</option>
+        ))}
+      </select>
+
+      {item.revealMode === 'typewriter' && (
+        <>
+          <label>Characters per Second:</label>
+          <input
+            type="number"
+            min="1"
+            placeholder="40"
+            value={item.charsPerSecond ?? ''}
+            onChange={(e) => update('charsPerSecond', e.target.value)}
+            style={inputStyle}
+          />
+        </>
+      )}
+
+      {item.revealMode === 'chunks' && (
+        <>
+          <label>Words per Chunk:</label>
+          <input
+            type="number"
+            min="1"
+            placeholder="3"
+            value={item.wordsPerChunk ?? ''}
+            onChange={(e) => update('wordsPerChunk', e.target.value)}
+            style={inputStyle}
+          />
+          <label>Milliseconds between Chunks:</label>
+          <input
+            type="number"
+            min="1"
+            placeholder="250"
+            value={item.chunkIntervalMs ?? ''}
+            onChange={(e) => update('chunkIntervalMs', e.target.value)}
+            style={inputStyle}
+          />
+        </>
+      )}
+    </>
+  );
+
   return (
     <div className="container" style={{ padding: '2rem' }}>
       <h1>Group Settings – Survey Builder</h1>
@@ -145,6 +342,18 @@ const GroupSettings = () => {
               </p>
             )}
 
+            <label>Group:</label>
+            <select
+              value={q.groupId || NEW_GROUP}
+              onChange={(e) => updateQuestion(index, 'groupId', e.target.value || undefined)}
+              style={inputStyle}
+            >
+              <option value={NEW_GROUP}>New group</option>
+              {groupIds.map(id => (
+                <option key={id} value={id}>Group {id}</option>
+              ))}
+            </select>
+
             <label>Font Face:</label>
             <select
               value={q.fontFace}
@@ -183,6 +392,15 @@ const GroupSettings = () => {
               required
             />
 
+            <label>Keywords (comma-separated, used to match typed prompts):</label>
+            <input
+              type="text"
+              placeholder="e.g. caffeine, coffee, heart"
+              value={q.keywords || ''}
+              onChange={(e) => updateQuestion(index, 'keywords', e.target.value)}
+              style={inputStyle}
+            />
+
             <label>Delay (seconds):</label>
             <input
               type="number"
@@ -191,6 +409,8 @@ const GroupSettings = () => {
               style={inputStyle}
             />
 
+            {renderRevealFields(q, (field, value) => updateQuestion(index, field, value))}
+
             <label>Pre-Answer:</label>
             <input
               type="text"
@@ -207,6 +427,91 @@ const GroupSettings = () => {
               required
             />
 
+            {renderAnswerMetaFields(q, (field, value) => updateQuestion(index, field, value))}
+
+            {/* Follow-up turns — the transcript continues after the answer above */}
+            {(q.turns || []).map((turn, turnIndex) => (
+              <div
+                key={turnIndex}
+                style={{ borderLeft: '3px solid #ccc', margin: '1rem 0', paddingLeft: '1rem' }}
+              >
+                <h4>Turn {turnIndex + 2}</h4>
+
+                <label>Participant Follow-up (leave empty for the AI to continue on its own, e.g. to correct itself):</label>
+                <input
+                  type="text"
+                  value={turn.prompt}
+                  onChange={(e) => updateTurn(index, turnIndex, 'prompt', e.target.value)}
+                  style={inputStyle}
+                />
+
+                <label>Font Face:</label>
+                <select
+                  value={turn.fontFace || q.fontFace}
+                  onChange={(e) => updateTurn(index, turnIndex, 'fontFace', e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="Arial">Arial</option>
+                  <option value="Times New Roman">Times New Roman</option>
+                  <option value="Courier New">Courier New</option>
+                </select>
+
+                <label>Color Scheme:</label>
+                <input
+                  type="color"
+                  value={turn.colorScheme || q.colorScheme}
+                  onChange={(e) => updateTurn(index, turnIndex, 'colorScheme', e.target.value)}
+                  style={{ width: '50px', height: '40px', display: 'block' }}
+                />
+
+                <label>Delay (seconds):</label>
+                <input
+                  type="number"
+                  value={turn.delay}
+                  onChange={(e) => updateTurn(index, turnIndex, 'delay', e.target.value)}
+                  style={inputStyle}
+                />
+
+                {renderRevealFields(turn, (field, value) => updateTurn(index, turnIndex, field, value))}
+
+                <label>Pre-Answer:</label>
+                <input
+                  type="text"
+                  value={turn.preAnswer}
+                  onChange={(e) => updateTurn(index, turnIndex, 'preAnswer', e.target.value)}
+                  style={inputStyle}
+                />
+
+                <label>Answer:</label>
+                <textarea
+                  value={turn.answer}
+                  onChange={(e) => updateTurn(index, turnIndex, 'answer', e.target.value)}
+                  style={{ ...inputStyle, minHeight: '60px' }}
+                  required
+                />
+
+                {renderAnswerMetaFields(turn, (field, value) => updateTurn(index, turnIndex, field, value))}
+
+                <button type="button" onClick={() => removeTurn(index, turnIndex)}>Remove Turn</button>
+              </div>
+            ))}
+
+            <button type="button" onClick={() => addTurn(index)}>Add Follow-up Turn</button>
+
+            {q.turns?.length > 0 && (
+              <>
+                <label style={{ display: 'block', marginTop: '1rem' }}>Ratings:</label>
+                <select
+                  value={q.ratingScope || 'conversation'}
+                  onChange={(e) => updateQuestion(index, 'ratingScope', e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="conversation">One rating for the whole conversation</option>
+                  <option value="turn">A rating for every AI turn</option>
+                </select>
+              </>
+            )}
+
             <button
               type="button"
               onClick={() => removeQuestion(index)}
@@ -222,6 +527,52 @@ const GroupSettings = () => {
           <button type="submit">Save Settings</button>
         </div>
       </form>
+
+      {/* === Condition Assignment === */}
+      {/* Each participant is assigned to one group and only sees that group's questions */}
+      <div style={{ border: '1px solid #ccc', marginTop: '2rem', padding: '1rem' }}>
+        <h2>Condition Assignment</h2>
+
+        <label>Assignment Mode:</label>
+        <select
+          value={assignment.mode}
+          onChange={(e) => setAssignment(prev => ({ ...prev, mode: e.target.value }))}
+          style={inputStyle}
+        >
+          <option value="round-robin">Balanced round-robin</option>
+          <option value="weighted">Weighted random</option>
+          <option value="block">Block randomization</option>
+        </select>
+
+        {assignment.mode === 'block' && (
+          <>
+            <label>Block Size (rounded up to a multiple of the group count):</label>
+            <input
+              type="number"
+              min="0"
+              value={assignment.blockSize}
+              onChange={(e) => setAssignment(prev => ({ ...prev, blockSize: e.target.value }))}
+              style={inputStyle}
+            />
+          </>
+        )}
+
+        {assignment.mode === 'weighted' && groupIds.map(id => (
+          <div key={id}>
+            <label>Weight for Group {id}:</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={assignment.weights[id] ?? 1}
+              onChange={(e) => updateWeight(id, e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+        ))}
+
+        <button type="button" onClick={saveAssignment}>Save Assignment</button>
+      </div>
     </div>
   );
 };
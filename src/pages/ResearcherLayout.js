@@ -56,6 +56,11 @@ function ResearcherLayout() {
             Group Settings
           </NavLink>
 
+          {/* === Survey Builder === */}
+          <NavLink to="/researcher/survey-builder" style={navLinkStyle}>
+            Survey Builder
+          </NavLink>
+
           {/* === Logout action (styled like a NavLink but with a click handler) === */}
           <NavLink 
             to="#" 
@@ -1,24 +1,68 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import Closed from './Closed'; // Component shown when the survey is inactive
+import Survey from './Survey'; // Pre-/post-questionnaires, rendered inline
+import { getParticipantSessionId } from '../participantSession';
+import { postWithRetry } from '../postWithRetry';
+import { revealedLength } from '../answerReveal';
 
 // === API Endpoints ===
 const SURVEY_STATUS_API     = 'https://qvyovlq8u4.execute-api.us-east-2.amazonaws.com/survey-status';
+const CONSENT_API           = `${SURVEY_STATUS_API}/consent`;
+const CONSENT_RECORDS_API   = `${SURVEY_STATUS_API}/consent/records`;
 const FIXED_QUESTIONS_API   = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/fixed-questions';
+const ASSIGN_API            = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/assign';
 const ASK_API               = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/ask';
 const RATE_API              = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/rate';
-const INCREMENT_COUNTER_API = 'https://psx08kge8h.execute-api.us-east-2.amazonaws.com/incrementSurveyCounter';
+const PROMPT_API            = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/prompt';    // Matches a typed question to a scripted one
+const DISPLAYED_API         = 'https://5ybxfcfpw0.execute-api.us-east-2.amazonaws.com/displayed'; // Logs the latency participants actually saw
+const SESSIONS_API          = 'https://psx08kge8h.execute-api.us-east-2.amazonaws.com/sessions'; // Participant session tracking and completion count
+const DEFAULT_SURVEY_ID     = 'my-survey'; // Used when the link has no ?surveyId= (matches SurveyStatusHandler)
+
+// The original 1–5 star trust rating, used until the status request says otherwise (matches SurveyStatusHandler)
+const DEFAULT_RATING_INSTRUMENT = {
+  items: [{ id: 'rating', label: 'How trustworthy is this answer?', type: 'scale', min: 1, max: 5, required: true }]
+};
+
+// === Answer reveal ===
+// How often the revealed part of the answer is updated (see revealedLength)
+const REVEAL_TICK_MS = 30;
+
+// === Rating progress ===
+// Progress counts ratingIds: one per question, or `${questionId}#${turn}` per turn when a question is rated
+// turn by turn (fakeAI lists them in each question's `ratingIds`)
+const ratingIdsOf = (q) => q.ratingIds || [q.id];
+const ratingIdOf = (questionId, turn) => (turn === undefined ? questionId : `${questionId}#${turn}`);
 
 const SimulatedAIPage = () => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const surveyId = searchParams.get('surveyId') || DEFAULT_SURVEY_ID; // Which survey's open/closed switch applies
 
   // === App-level states ===
   const [isSurveyOpen, setIsSurveyOpen] = useState(null); // Whether survey is accepting responses
+  const [questionnaires, setQuestionnaires] = useState({ pre: null, post: null }); // SurveyBuilder surveys linked to this study
+  const [stage, setStage] = useState('session');          // 'pre' | 'session' | 'post' — which part of the study is shown
+  const [consentForm, setConsentForm] = useState(null);   // { version, text } shown in the consent modal
   const [questions, setQuestions] = useState([]);         // Loaded fixed questions
   const [selectedQuestion, setSelectedQuestion] = useState(null); // Active question
   const [preMessage, setPreMessage] = useState('');       // Simulated "thinking" message
-  const [finalAnswer, setFinalAnswer] = useState('');     // Simulated AI answer
-  const [rating, setRating] = useState(0);                // Star-based user rating
+  const [shownAnswer, setShownAnswer] = useState('');     // Part of the simulated AI answer revealed so far
+  const [transcript, setTranscript] = useState([]);       // Earlier messages of the conversation: [{ role, text, color?, font? }]
+  const [conversation, setConversation] = useState(null); // { turn, turnCount, nextPrompt, ratingScope } of the current AI turn
+  const [ratingInstrument, setRatingInstrument] = useState(DEFAULT_RATING_INSTRUMENT); // Items the participant rates each answer on
+  const [ratingValues, setRatingValues] = useState({});   // { [itemId]: value } for the current answer
+  const [answerShownAt, setAnswerShownAt] = useState(null); // When the final answer was fully revealed (ms epoch)
+  const revealTimer = useRef(null);                         // Interval animating the current reveal
+  const delayTimer = useRef(null);                          // Timeout holding the final answer back for its delay
+  const askCount = useRef(0);                               // Bumped per selected question, so stale responses are ignored
+  const [submittingRating, setSubmittingRating] = useState(false); // Disables "Submit Rating" while a request is in flight
+  const [finishing, setFinishing] = useState(false);      // Disables "Finished" once clicked
+  const [ratedIds, setRatedIds] = useState(() => new Set()); // ratingIds this participant has rated
+  const [completionPolicy, setCompletionPolicy] = useState({ policy: 'free', minRatings: null }); // When "Finished" is allowed
+  const [promptInput, setPromptInput] = useState('buttons'); // 'buttons' | 'free-text' | 'both' — how participants ask
+  const [prompt, setPrompt] = useState('');               // Typed question being composed
+  const [sendingPrompt, setSendingPrompt] = useState(false); // Disables "Ask" while the prompt is being matched
 
   // === Styling preferences that can be controlled per-answer ===
   const [answerColor, setAnswerColor] = useState('#000'); // AI answer color
@@ -33,116 +77,400 @@ const SimulatedAIPage = () => {
   useEffect(() => {
     async function checkSurveyStatus() {
       try {
-        const res = await fetch(SURVEY_STATUS_API);
+        const res = await fetch(`${SURVEY_STATUS_API}?surveyId=${encodeURIComponent(surveyId)}`);
         const data = await res.json();
         setIsSurveyOpen(data.isOpen);
+        setQuestionnaires({ pre: data.preSurveyId || null, post: data.postSurveyId || null });
+        setCompletionPolicy({ policy: data.completionPolicy || 'free', minRatings: data.minRatings ?? null });
+        if (data.ratingInstrument) setRatingInstrument(data.ratingInstrument);
+        setPromptInput(data.promptInput || 'buttons');
       } catch (err) {
         console.error('Error checking survey status:', err);
         setIsSurveyOpen(false);
       }
     }
     checkSurveyStatus();
-  }, []);
+  }, [surveyId]);
 
-  // === Fetch fixed question list ===
+  // === Load this study's current consent form ===
   useEffect(() => {
-    async function loadQuestions() {
-      try {
-        const res = await fetch(FIXED_QUESTIONS_API);
-        if (!res.ok) throw new Error(`GET /fixed-questions failed: ${res.status}`);
-        const data = await res.json();
-        setQuestions(data);
-      } catch (err) {
-        console.error('Error fetching questions:', err);
-      }
+    fetch(`${CONSENT_API}?surveyId=${encodeURIComponent(surveyId)}`)
+      .then(r => r.ok ? r.json() : Promise.reject(new Error(`GET /consent failed: ${r.status}`)))
+      .then(setConsentForm)
+      .catch(err => {
+        // Fall back to the built-in form (version 0, same text as SurveyStatusHandler's default)
+        console.error('Error loading consent form:', err);
+        setConsentForm({ version: 0, text: 'This study is part of ongoing research. Do you consent to participate?' });
+      });
+  }, [surveyId]);
+
+  // === Assign this participant to a condition, then fetch that group's questions ===
+  // Runs once the session exists (after consent), so participants who decline are never assigned a condition
+  // and fakeAI can record the served questions on the session. The assignment is stored server-side,
+  // so a reload returns the same group.
+  const loadQuestions = async () => {
+    const sessionId = getParticipantSessionId();
+    try {
+      const assignRes = await fetch(ASSIGN_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId })
+      });
+      if (!assignRes.ok) throw new Error(`POST /assign failed: ${assignRes.status}`);
+
+      const res = await fetch(`${FIXED_QUESTIONS_API}?sessionId=${encodeURIComponent(sessionId)}`);
+      if (!res.ok) throw new Error(`GET /fixed-questions failed: ${res.status}`);
+      const data = await res.json();
+      setQuestions(data);
+    } catch (err) {
+      console.error('Error fetching questions:', err);
     }
-    loadQuestions();
-  }, []);
+  };
+
+  // === Rating progress toward the study's completion policy ===
+  const allRatingIds = questions.flatMap(ratingIdsOf);
+  const ratedCount = allRatingIds.filter(id => ratedIds.has(id)).length;
+  const requiredRatings = completionPolicy.policy === 'all' ? allRatingIds.length
+    : completionPolicy.policy === 'minimum' ? Math.min(completionPolicy.minRatings || 0, allRatingIds.length)
+    : 0;
+  const canFinish = ratedCount >= requiredRatings;
 
   // === Consent Management ===
-  const handleAcceptConsent  = () => { setShowConsent(false); setShowPopup(true); };
-  const handleDeclineConsent = () => { navigate('/survey/logout'); };
+  // Every decision is recorded with the version shown; a failed write is logged but does not block the participant
+  const recordConsent = async (decision) => {
+    try {
+      const res = await fetch(CONSENT_RECORDS_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ surveyId, sessionId: getParticipantSessionId(), version: consentForm.version, decision })
+      });
+      if (!res.ok) throw new Error(`POST /consent/records failed: ${res.status}`);
+    } catch (err) {
+      console.error('Error recording consent:', err);
+    }
+  };
+
+  // Accepting consent starts the participant's session; asks, ratings and completion are logged against it
+  const startSession = async () => {
+    try {
+      const res = await fetch(SESSIONS_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: getParticipantSessionId(), surveyId })
+      });
+      if (!res.ok) throw new Error(`POST /sessions failed: ${res.status}`);
+
+      // A resumed session (page reload) keeps the ratings it already has
+      const session = await res.json();
+      setRatedIds(new Set((session.events || []).filter(e => e.type === 'rate').map(e => ratingIdOf(e.questionId, e.turn))));
+    } catch (err) {
+      console.error('Error starting session:', err);
+    }
+  };
+
+  // With a pre-questionnaire configured, it comes before the instructions and the AI questions
+  const handleAcceptConsent  = async () => {
+    await recordConsent('accepted');
+    await startSession();
+    loadQuestions();
+    setShowConsent(false);
+    if (questionnaires.pre) setStage('pre');
+    else setShowPopup(true);
+  };
+  const handlePreSubmitted   = () => { setStage('session'); setShowPopup(true); };
+  const handleDeclineConsent = async () => { await recordConsent('declined'); navigate('/survey/logout'); };
   const handleClosePopup     = () => { setShowPopup(false); };
 
+  // === Animate the final answer; rating opens once it is fully shown ===
+  const stopReveal = () => {
+    clearInterval(revealTimer.current);
+    revealTimer.current = null;
+  };
+  useEffect(() => () => {
+    stopReveal();
+    clearTimeout(delayTimer.current);
+  }, []);
+
+  const revealAnswer = (text, reveal) => {
+    stopReveal();
+    const startedAt = Date.now();
+    const tick = () => {
+      const length = revealedLength(text, reveal, Date.now() - startedAt);
+      setShownAnswer(text.slice(0, length));
+      if (length >= text.length) {
+        stopReveal();
+        setAnswerShownAt(Date.now());
+      }
+    };
+    revealTimer.current = setInterval(tick, REVEAL_TICK_MS);
+    tick();
+  };
+
   // === Handle selection of a question ===
-  const handleSelectQuestion = async (q) => {
-    setSelectedQuestion(q);
+  const handleSelectQuestion = (q) => askTurn(q, 0, startAsk(q));
+
+  // === Move on to the next scripted turn of the conversation ===
+  // The answer shown so far (and the participant's follow-up, if the turn has one) moves into the transcript
+  const handleContinue = () => {
+    const { turn, nextPrompt } = conversation;
+    setTranscript(prev => [
+      ...prev,
+      { role: 'ai', text: shownAnswer, color: answerColor, font: answerFont },
+      ...(nextPrompt ? [{ role: 'participant', text: nextPrompt }] : []),
+    ]);
+    stopReveal();
+    setConversation(null);
     setPreMessage('');
-    setFinalAnswer('');
-    setRating(0);
-    setAnswerColor('#000');
-    setAnswerFont('Arial');
+    setShownAnswer('');
+    setRatingValues({});
+    setAnswerShownAt(null);
+    askTurn(selectedQuestion, turn + 1, ++askCount.current);
+  };
 
+  // === Ask for one turn of a question ===
+  // The final answer's delay is enforced here, not in the Lambda: /ask returns delayMs immediately and the
+  // answer starts to reveal delayMs after the pre-answer appeared. The measured latency is sent to /displayed.
+  const askTurn = async (q, turn, ask) => {
     // === Ask for "pre" phase response ===
     try {
       const res = await fetch(ASK_API, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ questionId: q.id, phase: 'pre' })
+        body: JSON.stringify({ questionId: q.id, phase: 'pre', turn, sessionId: getParticipantSessionId() })
       });
       if (!res.ok) throw new Error(`POST /ask (pre) failed: ${res.status}`);
       const data = await res.json();
+      if (ask !== askCount.current) return;
       setPreMessage(data.preAnswerMessage || '');
     } catch (err) {
       console.error('Error fetching pre-answer:', err);
+      if (ask !== askCount.current) return;
       setPreMessage('Error retrieving pre-answer.');
     }
+    const delayStart = performance.now();
 
     // === Ask for "final" phase response ===
     try {
       const res2 = await fetch(ASK_API, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ questionId: q.id, phase: 'final' })
+        body: JSON.stringify({ questionId: q.id, phase: 'final', turn, sessionId: getParticipantSessionId() })
       });
       if (!res2.ok) throw new Error(`POST /ask (final) failed: ${res2.status}`);
       const data2 = await res2.json();
-      setFinalAnswer(data2.finalAnswer || '');
-      if (data2.colorScheme) setAnswerColor(data2.colorScheme);
-      if (data2.fontFace)    setAnswerFont(data2.fontFace);
+      if (ask !== askCount.current) return;
+      showFinalAnswer(ask, data2, delayStart, q.id);
     } catch (err) {
       console.error('Error fetching final answer:', err);
-      setFinalAnswer('Error retrieving final answer.');
+      if (ask !== askCount.current) return;
+      setShownAnswer('Error retrieving final answer.');
     }
   };
 
-  // === Rate current question's AI answer ===
-  const handleRate = async () => {
-    if (!selectedQuestion) return;
+  // Clears the previous answer; returns the ask number that later responses must still match
+  const startAsk = (q) => {
+    stopReveal();
+    clearTimeout(delayTimer.current);
+    setSelectedQuestion(q);
+    setTranscript([{ role: 'participant', text: q.prompt || q.question }]);
+    setConversation(null);
+    setPreMessage('');
+    setShownAnswer('');
+    setRatingValues({});
+    setAnswerShownAt(null);
+    setAnswerColor('#000');
+    setAnswerFont('Arial');
+    return ++askCount.current;
+  };
+
+  // Reveals `data.finalAnswer` once `data.delayMs` has passed since delayStart
+  const showFinalAnswer = (ask, data, delayStart, questionId) => {
+    const delayMs = Number(data.delayMs) || 0;
+    delayTimer.current = setTimeout(() => {
+      if (ask !== askCount.current) return;
+      const displayedAfterMs = performance.now() - delayStart;
+      if (data.colorScheme) setAnswerColor(data.colorScheme);
+      if (data.fontFace)    setAnswerFont(data.fontFace);
+      if (data.turnCount) {
+        const { turn, turnCount, nextPrompt, ratingScope } = data;
+        setConversation({ turn, turnCount, nextPrompt, ratingScope });
+      }
+      revealAnswer(data.finalAnswer || '', data.reveal);
+      if (questionId) logDisplayed(questionId, data.turn ?? 0, delayMs, displayedAfterMs);
+    }, Math.max(0, delayMs - (performance.now() - delayStart)));
+  };
+
+  // === Typed question ===
+  // fakeAI matches the prompt to one of the participant's questions, which is then asked as if clicked;
+  // unmatched prompts get the study's fallback answer, which cannot be rated
+  const handleSubmitPrompt = async (e) => {
+    e.preventDefault();
+    const text = prompt.trim();
+    if (!text || sendingPrompt) return;
+    setSendingPrompt(true);
     try {
-      const res = await fetch(RATE_API, {
+      const res = await fetch(PROMPT_API, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ questionId: selectedQuestion.id, rating })
+        body: JSON.stringify({ sessionId: getParticipantSessionId(), prompt: text })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `POST /prompt failed: ${res.status}`);
+      setPrompt('');
+
+      const matched = data.matched && questions.find(q => q.id === data.questionId);
+      if (matched) {
+        handleSelectQuestion({ ...matched, prompt: text });
+      } else {
+        const ask = startAsk({ id: null, question: text, prompt: text, fallback: true });
+        showFinalAnswer(ask, data, performance.now(), null);
+      }
+    } catch (err) {
+      console.error('Error sending prompt:', err);
+      alert('Failed to send your question.');
+    } finally {
+      setSendingPrompt(false);
+    }
+  };
+
+  // Best effort — a failed log must not interrupt the participant
+  const logDisplayed = (questionId, turn, delayMs, displayedAfterMs) => {
+    fetch(DISPLAYED_API, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: getParticipantSessionId(), questionId, turn, delayMs, displayedAfterMs })
+    }).catch(err => console.error('Error logging displayed latency:', err));
+  };
+
+  // === Rate current question's AI answer ===
+  // One rating per question: depending on the study's policy a second rating replaces the first or is refused (409)
+  // Scripted conversations are rated once after the last turn, or after every turn when ratingScope is "turn"
+  const ratePerTurn = conversation?.ratingScope === 'turn';
+  const hasNextTurn = !!conversation && conversation.turn + 1 < conversation.turnCount;
+  const canRate = !!answerShownAt && (ratePerTurn || !hasNextTurn);
+
+  const handleRate = async () => {
+    if (!selectedQuestion || submittingRating || !ratingComplete || !canRate) return;
+    setSubmittingRating(true);
+    const ratingId = ratingIdOf(selectedQuestion.id, ratePerTurn ? conversation.turn : undefined);
+    try {
+      const res = await postWithRetry(RATE_API, {
+        sessionId: getParticipantSessionId(),
+        questionId: selectedQuestion.id,
+        ...(ratePerTurn ? { turn: conversation.turn } : {}),
+        ratings: ratingValues,
+        answerToRatingMs: answerShownAt ? Date.now() - answerShownAt : null,
+        idempotencyKey: crypto.randomUUID() // One key per click, reused by the retries
       });
-      if (!res.ok) throw new Error(`POST /rate failed: ${res.status}`);
       const data = await res.json();
+      if (res.status === 409) {
+        // Already rated under a "keep the first rating" policy — it still counts toward progress
+        setRatedIds(prev => new Set(prev).add(ratingId));
+        alert(data.message);
+        return;
+      }
+      if (res.status === 400) {
+        // The answers don't fit the study's rating instrument (e.g. it changed since the page loaded)
+        alert(data.message);
+        return;
+      }
+      if (!res.ok) throw new Error(`POST /rate failed: ${res.status}`);
+      setRatedIds(prev => new Set(prev).add(ratingId));
       alert(`Rating submitted! ${data.message}`);
     } catch (err) {
       console.error('Error rating answer:', err);
       alert('Failed to submit rating.');
+    } finally {
+      setSubmittingRating(false);
     }
   };
 
-  // === Render interactive stars ===
-  const renderStars = () => (
-    <div>
-      {[1,2,3,4,5].map(i => (
-        <span
-          key={i}
-          onClick={() => setRating(i)}
-          style={{ cursor: 'pointer', fontSize: '1.5rem', color: i <= rating ? 'gold' : '#ccc', marginRight: '0.2rem' }}
-        >★</span>
-      ))}
-    </div>
-  );
+  // === Rating instrument ===
+  const setRatingValue = (id, value) => setRatingValues(prev => ({ ...prev, [id]: value }));
+  const ratingComplete = ratingInstrument.items.every(item => {
+    const value = ratingValues[item.id];
+    return !item.required || (value !== undefined && value !== '' && !(item.type === 'text' && !value.trim()));
+  });
+
+  // Scales starting at 1 are shown as stars, others (e.g. 0–10) as numbered buttons
+  const renderRatingItem = (item) => {
+    const value = ratingValues[item.id];
+    if (item.type === 'binary') {
+      return (
+        <div>
+          {[['Yes', true], ['No', false]].map(([label, v]) => (
+            <label key={label} style={{ marginRight: '1rem' }}>
+              <input type="radio" name={`rating-${item.id}`} checked={value === v} onChange={() => setRatingValue(item.id, v)} /> {label}
+            </label>
+          ))}
+        </div>
+      );
+    }
+    if (item.type === 'text') {
+      return (
+        <textarea
+          value={value || ''}
+          onChange={e => setRatingValue(item.id, e.target.value)}
+          rows={3}
+          maxLength={2000}
+          style={{ width: '100%' }}
+        />
+      );
+    }
 
-  // === End of survey - increment counter ===
-  const handleFinish = async () => {
+    const points = [];
+    for (let i = item.min; i <= item.max; i++) points.push(i);
+    if (item.min === 1) {
+      return (
+        <div>
+          {points.map(i => (
+            <span
+              key={i}
+              onClick={() => setRatingValue(item.id, i)}
+              style={{ cursor: 'pointer', fontSize: '1.5rem', color: i <= (value || 0) ? 'gold' : '#ccc', marginRight: '0.2rem' }}
+            >★</span>
+          ))}
+        </div>
+      );
+    }
+    return (
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+        {points.map(i => (
+          <button
+            key={i}
+            onClick={() => setRatingValue(item.id, i)}
+            style={{ ...btnStyle, padding: '0.3rem 0.6rem', background: value === i ? '#4a90e2' : '#eee', color: value === i ? '#fff' : '#000' }}
+          >{i}</button>
+        ))}
+      </div>
+    );
+  };
+
+  // === "Finished" — go to the post-questionnaire if there is one, otherwise complete the study ===
+  const handleFinish = () => {
+    if (finishing || !canFinish) return;
+    setFinishing(true);
+    if (questionnaires.post) setStage('post');
+    else completeStudy();
+  };
+
+  // === End of study - increment counter ===
+  const completeStudy = async () => {
     try {
-      const res = await fetch(INCREMENT_COUNTER_API, { method: 'POST' });
-      if (!res.ok) throw new Error(`Error updating survey count: ${res.status}`);
+      // Marks the session completed, which counts toward this survey's maxResponses quota (once per session)
+      const res = await postWithRetry(
+        `${SESSIONS_API}/${encodeURIComponent(getParticipantSessionId())}/complete`,
+        { idempotencyKey: crypto.randomUUID() }
+      );
       const data = await res.json();
+      if (res.status === 400) {
+        // The backend's completion policy check disagrees with ours — let the participant keep rating
+        alert(data.message);
+        setFinishing(false);
+        setStage('session');
+        return;
+      }
+      if (!res.ok) throw new Error(`Error completing session: ${res.status}`);
       console.log('Updated survey count:', data.count);
     } catch (err) {
       console.error('Error finishing survey:', err);
@@ -158,9 +486,11 @@ const SimulatedAIPage = () => {
   const containerStyle = { display:'flex', gap:'2rem', padding:'1rem' };
   const leftStyle      = { flex:1, border:'1px solid #ccc', padding:'1rem' };
   const rightStyle     = { flex:1, border:'1px solid #ccc', padding:'1rem' };
+  const participantMessageStyle = { textAlign:'right', background:'#eef3fb', padding:'0.5rem', borderRadius:'8px' };
+  const aiMessageStyle          = { background:'#f5f5f5', padding:'0.5rem', borderRadius:'8px' };
 
   // === Gate survey access if closed ===
-  if (isSurveyOpen === null) return <div>Loading...</div>;
+  if (isSurveyOpen === null || (isSurveyOpen && !consentForm)) return <div>Loading...</div>;
   if (!isSurveyOpen) return <Closed />;
 
   return (
@@ -169,10 +499,11 @@ const SimulatedAIPage = () => {
       {/* === Consent Modal === */}
       {showConsent && (
         <div style={overlayStyle}>
-          <div style={modalStyle}>
-            <p style={{ marginBottom: '1rem' }}>
-              This study is part of ongoing research. Do you consent to participate?
-            </p>
+          <div style={{ ...modalStyle, maxWidth: '40rem', maxHeight: '80vh', overflowY: 'auto', textAlign: 'left' }}>
+            <p style={{ marginBottom: '1rem', whiteSpace: 'pre-wrap' }}>{consentForm.text}</p>
+            {consentForm.version > 0 && (
+              <p style={{ fontSize: '0.8rem', color: '#666' }}>Consent form version {consentForm.version}</p>
+            )}
             <div style={{ display: 'flex', justifyContent: 'center', gap: '1rem' }}>
               <button onClick={handleAcceptConsent}  style={{ ...btnStyle, backgroundColor: '#500000', color: '#fff' }}>Accept</button>
               <button onClick={handleDeclineConsent} style={{ ...btnStyle, backgroundColor: '#aaa', color: '#000' }}>Decline</button>
@@ -186,7 +517,7 @@ const SimulatedAIPage = () => {
         <div style={overlayStyle}>
           <div style={modalStyle}>
             <p>
-              Please interact with each of the AI questions. Click a question, wait for the AI to respond, then rate how trustworthy the answer is (1–5 stars). After all prompts, click "Finished" to submit.
+              Please interact with each of the AI questions. {promptInput === 'buttons' ? 'Click a question' : 'Type a question'}, wait for the AI to respond, then answer the rating questions about it. After all prompts, click "Finished" to submit.
             </p>
             <button onClick={handleClosePopup} style={btnStyle}>Okay</button>
           </div>
@@ -203,38 +534,86 @@ const SimulatedAIPage = () => {
         </div>
       )}
 
+      {/* === Pre-/Post-Questionnaire — answers are stored against the same participant session ID === */}
+      {!showConsent && stage !== 'session' && !showThankYouPopup && (
+        <Survey
+          key={stage}
+          surveyId={questionnaires[stage]}
+          sessionId={getParticipantSessionId()}
+          studyId={surveyId}
+          phase={stage}
+          onSubmitted={stage === 'pre' ? handlePreSubmitted : completeStudy}
+        />
+      )}
+
       {/* === Main Survey Interaction Area === */}
-      {!showConsent && (
+      {!showConsent && stage === 'session' && (
         <>
           <h1 style={{ textAlign: 'center' }}>AI Dashboard</h1>
           <div style={containerStyle}>
             {/* Left Column: Question Selector */}
             <div style={leftStyle}>
               <h2>Questions</h2>
-              {questions.map(q => (
+              <p style={{ color: '#666' }}>{ratedCount} of {allRatingIds.length} answers rated</p>
+              {promptInput !== 'free-text' && questions.map(q => (
                 <div key={q.id} style={{ margin: '0.5rem 0' }}>
                   <button onClick={() => handleSelectQuestion(q)} style={{ cursor: 'pointer' }}>{q.question}</button>
+                  {ratingIdsOf(q).every(id => ratedIds.has(id)) && <span aria-label="rated" style={{ color: 'green', marginLeft: '0.5rem' }}>✓</span>}
                 </div>
               ))}
+              {promptInput !== 'buttons' && (
+                <form onSubmit={handleSubmitPrompt} style={{ display: 'flex', gap: '0.5rem', margin: '1rem 0' }}>
+                  <input
+                    value={prompt}
+                    onChange={e => setPrompt(e.target.value)}
+                    placeholder="Type your question…"
+                    maxLength={1000}
+                    style={{ flex: 1, padding: '0.4rem' }}
+                  />
+                  <button type="submit" disabled={!prompt.trim() || sendingPrompt} style={btnStyle}>
+                    {sendingPrompt ? 'Asking…' : 'Ask'}
+                  </button>
+                </form>
+              )}
               {selectedQuestion && (
                 <div style={{ marginTop: '1rem' }}>
-                  <h3>Selected: {selectedQuestion.question}</h3>
-                  {preMessage  && <p style={{ fontStyle: 'italic', color: '#666' }}>{preMessage}</p>}
-                  {finalAnswer && <p style={{ fontWeight: 'bold', color: answerColor, fontFamily: answerFont }}>{finalAnswer}</p>}
+                  {transcript.map((m, i) => (m.role === 'participant'
+                    ? <p key={i} style={participantMessageStyle}><strong>You:</strong> {m.text}</p>
+                    : <p key={i} style={{ ...aiMessageStyle, color: m.color, fontFamily: m.font }}><strong>AI:</strong> {m.text}</p>
+                  ))}
+                  {!shownAnswer && preMessage && <p style={{ fontStyle: 'italic', color: '#666' }}>{preMessage}</p>}
+                  {shownAnswer && (
+                    <p style={{ ...aiMessageStyle, fontWeight: 'bold', color: answerColor, fontFamily: answerFont }}>
+                      <strong>AI:</strong> {shownAnswer}
+                    </p>
+                  )}
+                  {answerShownAt && hasNextTurn && (
+                    <button onClick={handleContinue} style={btnStyle}>
+                      {conversation.nextPrompt ? `Ask: ${conversation.nextPrompt}` : 'Continue'}
+                    </button>
+                  )}
                 </div>
               )}
             </div>
 
             {/* Right Column: Rating */}
             <div style={rightStyle}>
-              <h2>Rate the Answer</h2>
+              <h2>{ratePerTurn ? `Rate the Answer (turn ${conversation.turn + 1} of ${conversation.turnCount})` : 'Rate the Answer'}</h2>
               {!selectedQuestion ? (
-                <p>Select a question on the left first.</p>
+                <p>{promptInput === 'buttons' ? 'Select' : 'Ask'} a question on the left first.</p>
+              ) : selectedQuestion.fallback ? (
+                <p>This answer can't be rated. Try asking your question another way.</p>
               ) : (
                 <>
-                  <div style={{ margin: '1rem 0' }}>{renderStars()}</div>
-                  <button onClick={handleRate} disabled={!finalAnswer} style={btnStyle}>
-                    Submit Rating
+                  {ratingInstrument.items.map(item => (
+                    <div key={item.id} style={{ margin: '1rem 0' }}>
+                      <p style={{ margin: '0 0 0.3rem' }}>{item.label}{item.required && ' *'}</p>
+                      {renderRatingItem(item)}
+                    </div>
+                  ))}
+                  {!ratePerTurn && hasNextTurn && <p style={{ color: '#666' }}>Rate the conversation once it has finished.</p>}
+                  <button onClick={handleRate} disabled={!canRate || submittingRating || !ratingComplete} style={btnStyle}>
+                    {submittingRating ? 'Submitting…' : 'Submit Rating'}
                   </button>
                 </>
               )}
@@ -243,7 +622,12 @@ const SimulatedAIPage = () => {
 
           {/* Finish Button */}
           <div style={{ textAlign: 'center', margin: '2rem 0' }}>
-            <button onClick={handleFinish} style={btnStyle}>Finished</button>
+            <button onClick={handleFinish} disabled={finishing || !canFinish} style={btnStyle}>Finished</button>
+            {!canFinish && (
+              <p style={{ color: '#666' }}>
+                Please rate {completionPolicy.policy === 'all' ? 'every answer' : `at least ${requiredRatings} answers`} before finishing.
+              </p>
+            )}
           </div>
         </>
       )}
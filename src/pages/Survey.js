@@ -1,30 +1,448 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { isEmptyAnswer, isQuestionVisible, scalePoints } from '../surveyRules';
+
+// === API Endpoint ===
+const API_BASE_URL = 'https://tl2l68tv49.execute-api.us-east-2.amazonaws.com';
 
 /**
  * Survey Component
- * 
- * Purpose:
- * - This component serves as a placeholder for rendering survey questions built using the Survey Builder.
- * - In a full implementation, it would dynamically load and display those questions to the user (e.g., for preview or interaction).
- * 
- * When to extend this:
- * - If you want to render questions from the builder in real-time for previewing.
- * - If you want to test conditional logic or layout before deploying a full survey page.
+ *
+ * Renders a survey built in the Survey Builder so participants can take it.
+ * - Reads the survey to show from the `?surveyId=...` query parameter
+ * - Loads that survey's title, description and questions from QuestionManagementLambda
+ * - Renders an input for every question type the builder offers
+ * - Evaluates show-if rules live, hiding questions whose condition is not met
+ * - Enforces `required` on the visible questions before submitting, then POSTs their answers
+ *
+ * SimulatedAIPage also embeds it for the pre-/post-questionnaires: props then take the place of the
+ * query parameter, link the answers to the participant's session, and `onSubmitted` replaces the thank-you screen.
+ * An embedded questionnaire that cannot be shown offers a Continue button instead, so the session is not stuck.
+ *
+ * @param {string}   [surveyId]    Survey to show; defaults to `?surveyId=`
+ * @param {string}   [sessionId]   Participant session ID stored with the answers
+ * @param {string}   [studyId]     Study (SurveyStatus surveyId) the questionnaire belongs to
+ * @param {string}   [phase]       "pre" or "post"
+ * @param {Function} [onSubmitted] Called after the answers are stored
+ *
+ * Backend Endpoints:
+ * - GET  `/surveys/{surveyId}`
+ * - POST `/surveys/{surveyId}/responses`
  */
-const Survey = () => {
+const Survey = ({ surveyId: surveyIdProp, sessionId, studyId, phase, onSubmitted }) => {
+  const [searchParams] = useSearchParams();
+  const surveyId = surveyIdProp || searchParams.get('surveyId');
+
+  // === Survey data and participant answers ===
+  const [survey, setSurvey] = useState(null);   // { title, description, status }
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});   // questionId -> string | string[] | number | { statement: choice }
+  const [errors, setErrors] = useState({});     // questionId -> validation message
+
+  // === UI states ===
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  // === Load the survey's questions ===
+  useEffect(() => {
+    if (!surveyId) {
+      setLoadError('No survey selected. Please use the link you were given.');
+      setLoading(false);
+      return;
+    }
+
+    const loadQuestions = async () => {
+      try {
+        const res = await fetch(`${API_BASE_URL}/surveys/${encodeURIComponent(surveyId)}`);
+        if (res.status === 404) {
+          setLoadError('This survey could not be found.');
+          return;
+        }
+        if (!res.ok) throw new Error(`GET /surveys/${surveyId} failed: ${res.status}`);
+        const data = await res.json();
+        if (data.status === 'archived') setLoadError('This survey is no longer accepting responses.');
+        else if (!data.questions.length) setLoadError('This survey has no questions.');
+        setSurvey(data);
+        setQuestions(data.questions);
+      } catch (err) {
+        console.error('Error loading survey:', err);
+        setLoadError('Unable to load this survey.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQuestions();
+  }, [surveyId]);
+
+  // Questions whose show-if rules currently pass; hidden questions are skipped entirely
+  const byId = new Map(questions.map(q => [q.questionId, q]));
+  const visibleQuestions = questions.filter(q => isQuestionVisible(q, answers, byId));
+
+  /**
+   * Stores the answer for a question and clears its validation message
+   */
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+    setErrors(prev => ({ ...prev, [questionId]: undefined }));
+  };
+
+  /**
+   * Adds or removes one option from a checkbox question's answer list
+   */
+  const toggleCheckbox = (questionId, option) => {
+    const current = answers[questionId] || [];
+    setAnswer(questionId, current.includes(option)
+      ? current.filter(o => o !== option)
+      : [...current, option]);
+  };
+
+  /**
+   * Sets one statement's choice in a matrix question's answer
+   */
+  const setMatrixCell = (questionId, statement, choice) => {
+    setAnswer(questionId, { ...(answers[questionId] || {}), [statement]: choice });
+  };
+
+  /**
+   * Moves an item in a ranking answer; the first move also confirms the shown order as the starting point
+   */
+  const moveRankItem = (q, fromIndex, toIndex) => {
+    const current = answers[q.questionId] || q.options;
+    if (toIndex < 0 || toIndex >= current.length) return;
+    const next = [...current];
+    const [item] = next.splice(fromIndex, 1);
+    next.splice(toIndex, 0, item);
+    setAnswer(q.questionId, next);
+  };
+
+  /**
+   * Returns a map of questionId -> message for every unanswered required question that is visible
+   */
+  const validate = () => {
+    const found = {};
+    visibleQuestions.forEach(q => {
+      if (!q.required) return;
+      const value = answers[q.questionId];
+      if (isEmptyAnswer(value)) found[q.questionId] = 'This question is required.';
+      else if (q.type === 'matrix' && q.options.some(row => !(row in value))) found[q.questionId] = 'Please answer every statement.';
+    });
+    return found;
+  };
+
+  /**
+   * handleSubmit — Validates required questions and POSTs the answers
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const found = validate();
+    setErrors(found);
+    if (Object.keys(found).length) return;
+
+    // Answers to questions that were hidden after being answered are not submitted
+    const visibleAnswers = Object.fromEntries(
+      visibleQuestions
+        .filter(q => answers[q.questionId] !== undefined)
+        .map(q => [q.questionId, answers[q.questionId]])
+    );
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${API_BASE_URL}/surveys/${encodeURIComponent(surveyId)}/responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ answers: visibleAnswers, sessionId, studyId, phase })
+      });
+      if (res.status === 400) {
+        // Server-side validation failed — show the messages next to the affected questions
+        const data = await res.json();
+        const serverErrors = {};
+        (data.errors || []).forEach(({ questionId, message }) => { serverErrors[questionId] = message; });
+        setErrors(serverErrors);
+        if (!Object.keys(serverErrors).length) alert(data.message || 'Your answers could not be accepted.');
+        return;
+      }
+      if (!res.ok) throw new Error(`POST /surveys/${surveyId}/responses failed: ${res.status}`);
+      if (onSubmitted) onSubmitted();
+      else setSubmitted(true);
+    } catch (err) {
+      console.error('Error submitting survey:', err);
+      alert('Failed to submit your answers. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // === Common styling for inputs ===
+  const inputStyle = {
+    padding: '0.75rem',
+    margin: '0.75rem 0',
+    width: '100%',
+    boxSizing: 'border-box'
+  };
+
+  /**
+   * Renders the input for a single question based on its type
+   * If you add a question type to the Survey Builder, add its renderer here
+   */
+  const renderInput = (q) => {
+    const value = answers[q.questionId];
+
+    switch (q.type) {
+      case 'paragraph':
+        return (
+          <textarea
+            value={value || ''}
+            onChange={(e) => setAnswer(q.questionId, e.target.value)}
+            style={{ ...inputStyle, minHeight: '100px' }}
+          />
+        );
+
+      case 'multiple-choice':
+        return q.options.map((option, i) => (
+          <label key={i} style={choiceStyle}>
+            <input
+              type="radio"
+              name={q.questionId}
+              checked={value === option}
+              onChange={() => setAnswer(q.questionId, option)}
+            />
+            {option}
+          </label>
+        ));
+
+      case 'checkbox':
+        return q.options.map((option, i) => (
+          <label key={i} style={choiceStyle}>
+            <input
+              type="checkbox"
+              checked={(value || []).includes(option)}
+              onChange={() => toggleCheckbox(q.questionId, option)}
+            />
+            {option}
+          </label>
+        ));
+
+      case 'dropdown':
+        return (
+          <select
+            value={value || ''}
+            onChange={(e) => setAnswer(q.questionId, e.target.value)}
+            style={inputStyle}
+          >
+            <option value="">Select…</option>
+            {q.options.map((option, i) => (
+              <option key={i} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+
+      case 'linear-scale':
+        return (
+          <div style={{ display: 'flex', gap: '1rem', margin: '0.75rem 0', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            {q.scale?.minLabel && <span style={scaleLabelStyle}>{q.scale.minLabel}</span>}
+            {scalePoints(q.scale).map(point => (
+              <label key={point} style={{ textAlign: 'center' }}>
+                <div>{point}</div>
+                <input
+                  type="radio"
+                  name={q.questionId}
+                  checked={value === point}
+                  onChange={() => setAnswer(q.questionId, point)}
+                />
+              </label>
+            ))}
+            {q.scale?.maxLabel && <span style={scaleLabelStyle}>{q.scale.maxLabel}</span>}
+          </div>
+        );
+
+      // Likert grid: one row of radio buttons per statement
+      case 'matrix':
+        return (
+          <table style={{ width: '100%', margin: '0.75rem 0', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th />
+                {q.columns.map(column => <th key={column} style={matrixCellStyle}>{column}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {q.options.map(statement => (
+                <tr key={statement}>
+                  <td style={{ ...matrixCellStyle, textAlign: 'left' }}>{statement}</td>
+                  {q.columns.map(column => (
+                    <td key={column} style={matrixCellStyle}>
+                      <input
+                        type="radio"
+                        name={`${q.questionId}-${statement}`}
+                        aria-label={`${statement}: ${column}`}
+                        checked={value?.[statement] === column}
+                        onChange={() => setMatrixCell(q.questionId, statement, column)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        );
+
+      // Ranking: reorder with the arrow buttons, most preferred first
+      case 'ranking': {
+        const ranked = value || q.options;
+        return (
+          <div style={{ margin: '0.75rem 0' }}>
+            <ol>
+              {ranked.map((option, i) => (
+                <li key={option} style={{ margin: '0.25rem 0' }}>
+                  {option}{' '}
+                  <button type="button" aria-label={`Move ${option} up`} onClick={() => moveRankItem(q, i, i - 1)} disabled={i === 0}>⬆️</button>
+                  <button type="button" aria-label={`Move ${option} down`} onClick={() => moveRankItem(q, i, i + 1)} disabled={i === ranked.length - 1}>⬇️</button>
+                </li>
+              ))}
+            </ol>
+            {!value && (
+              <button type="button" onClick={() => setAnswer(q.questionId, [...q.options])}>
+                ✓ Keep this order
+              </button>
+            )}
+          </div>
+        );
+      }
+
+      case 'number':
+        return (
+          <input
+            type="number"
+            min={q.bounds?.min ?? undefined}
+            max={q.bounds?.max ?? undefined}
+            step={q.bounds?.integer ? 1 : 'any'}
+            value={value ?? ''}
+            onChange={(e) => setAnswer(q.questionId, e.target.value === '' ? undefined : Number(e.target.value))}
+            style={inputStyle}
+          />
+        );
+
+      case 'date':
+        return (
+          <input
+            type="date"
+            value={value || ''}
+            onChange={(e) => setAnswer(q.questionId, e.target.value || undefined)}
+            style={inputStyle}
+          />
+        );
+
+      // Slider: the answer stays empty until the participant moves the handle
+      case 'slider': {
+        const { min = 0, max = 100, step = 1, minLabel, maxLabel } = q.scale || {};
+        return (
+          <div style={{ display: 'flex', gap: '1rem', margin: '0.75rem 0', alignItems: 'center' }}>
+            {minLabel && <span style={scaleLabelStyle}>{minLabel}</span>}
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={value ?? (min + max) / 2}
+              onChange={(e) => setAnswer(q.questionId, Number(e.target.value))}
+              onPointerUp={(e) => setAnswer(q.questionId, Number(e.target.value))} // a click on the start position is still an answer
+              style={{ flex: 1 }}
+            />
+            {maxLabel && <span style={scaleLabelStyle}>{maxLabel}</span>}
+            <span style={{ minWidth: '4rem' }}>{value ?? 'Not set'}</span>
+          </div>
+        );
+      }
+
+      case 'short-answer':
+      default:
+        return (
+          <input
+            type="text"
+            value={value || ''}
+            onChange={(e) => setAnswer(q.questionId, e.target.value)}
+            style={inputStyle}
+          />
+        );
+    }
+  };
+
+  // === Loading / error / done states ===
+  if (loading) return <div className="container">Loading survey…</div>;
+
+  if (loadError) {
+    return (
+      <div className="container" style={{ textAlign: 'center' }}>
+        <h2>Survey</h2>
+        <p>{loadError}</p>
+        {onSubmitted && (
+          <button type="button" onClick={onSubmitted} style={{ padding: '0.5rem 1rem' }}>
+            Continue
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (submitted) {
+    return (
+      <div className="container" style={{ textAlign: 'center' }}>
+        <h2>Thank you!</h2>
+        <p>Your answers have been recorded.</p>
+      </div>
+    );
+  }
+
+  // === Main Component JSX ===
   return (
-    <div className="container" style={{ textAlign: 'center' }}>
-      <h2>Survey</h2>
-
-      {/* 
-        Placeholder message for developers and testers.
-        Replace this block with survey question rendering logic when implementing full survey preview or editor.
-      */}
-      <p>
-        This is the survey page. Here, questions from the survey builder will be displayed.
-      </p>
+    <div className="container">
+      <h2>{survey?.title || 'Survey'}</h2>
+      {survey?.description && <p style={{ whiteSpace: 'pre-wrap' }}>{survey.description}</p>}
+
+      <form onSubmit={handleSubmit} noValidate>
+        {visibleQuestions.map((q, index) => (
+          <div key={q.questionId} style={{
+            marginBottom: '1rem',
+            padding: '1rem',
+            border: `1px solid ${errors[q.questionId] ? 'red' : '#ccc'}`
+          }}>
+            <p style={{ fontWeight: 'bold', margin: 0 }}>
+              Q{index + 1}: {q.text}
+              {q.required && <span style={{ color: 'red' }}> *</span>}
+            </p>
+
+            {renderInput(q)}
+
+            {errors[q.questionId] && (
+              <p style={{ color: 'red', margin: 0 }}>{errors[q.questionId]}</p>
+            )}
+          </div>
+        ))}
+
+        <div style={{ display: 'flex', justifyContent: 'center', marginTop: '1rem' }}>
+          <button type="submit" disabled={submitting}>
+            {submitting ? 'Submitting…' : 'Submit'}
+          </button>
+        </div>
+      </form>
     </div>
   );
 };
 
+const scaleLabelStyle = { maxWidth: '8rem', fontSize: '0.9rem', color: '#555' };
+
+const matrixCellStyle = { padding: '0.4rem', textAlign: 'center', borderBottom: '1px solid #eee' };
+
+// === Layout for radio/checkbox choices ===
+const choiceStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  margin: '0.5rem 0'
+};
+
 export default Survey;
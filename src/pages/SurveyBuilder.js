@@ -1,4 +1,28 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { scalePoints } from '../surveyRules';
+
+const API_BASE_URL = "https://tl2l68tv49.execute-api.us-east-2.amazonaws.com";
+
+// Starting range for new linear-scale and slider questions; matches the backend default
+const DEFAULT_SCALE = { min: 1, max: 5, step: 1, minLabel: "", maxLabel: "" };
+const DEFAULT_SLIDER_SCALE = { min: 0, max: 100, step: 1, minLabel: "", maxLabel: "" };
+
+// Starting columns for a new Likert matrix, and the bounds of a new number question (blank = unbounded)
+const DEFAULT_MATRIX_COLUMNS = ["Strongly disagree", "Disagree", "Neutral", "Agree", "Strongly agree"];
+const DEFAULT_BOUNDS = { min: "", max: "", integer: false };
+
+// Types whose answers are picked from a list, with the options they start with
+const DEFAULT_OPTIONS = {
+  'multiple-choice': ["Option 1"],
+  'checkbox': ["Option 1"],
+  'dropdown': ["Option 1"],
+  'ranking': ["Option 1", "Option 2"],
+  'matrix': ["Statement 1"]
+};
+
+// Question types whose answers are lists or grids — show-if rules can only check that they were answered
+const MULTI_VALUE_TYPES = ["matrix", "ranking"];
 
 /**
  * SurveyBuilder Component
@@ -8,38 +32,147 @@ import React, { useState } from 'react';
  * - Adding, modifying, or removing questions
  * - Choosing different types of questions (short answer, MCQ, checkboxes, etc.)
  * - Marking questions as required
+ * - Setting the range, step and endpoint labels of linear-scale and slider questions
+ * - Likert matrices, ranking, number (with bounds) and date questions
+ * - Showing a question only when an earlier answer matches (show-if rules)
+ * - Reordering questions (drag-and-drop, arrow keys or ⬆️/⬇️) and their options
  * - Saving the final survey to the backend API
+ * - Listing saved surveys, reopening them for editing, or archiving them
  * 
- * Backend Endpoint:
- * - POST to `https://tl2l68tv49.execute-api.us-east-2.amazonaws.com/questions`
+ * Backend Endpoints:
+ * - GET/POST `/surveys`, GET/PUT/DELETE `/surveys/{surveyId}`
+ * - POST `/questions` (new surveys), POST `/surveys/{surveyId}/questions/batch` (edits)
  */
 const SurveyBuilder = () => {
+  const { user } = useAuth();
+
   // === Survey-level metadata ===
+  const [surveyId, setSurveyId] = useState(null); // null until the survey has been saved once
   const [surveyTitle, setSurveyTitle] = useState("Untitled Survey");
   const [surveyDescription, setSurveyDescription] = useState("");
 
   // === Question list state ===
   const [questions, setQuestions] = useState([]);
 
+  // === Snapshot of the survey as last loaded/saved, used to diff on save ===
+  // questionId -> serialized question payload; title/description for metadata changes
+  const [savedSnapshot, setSavedSnapshot] = useState({ questions: {}, title: "", description: "" });
+
+  // === Drag-and-drop state: id of the question card being dragged ===
+  const [draggedId, setDraggedId] = useState(null);
+
+  // === Saved surveys list ===
+  const [surveys, setSurveys] = useState([]);
+  const [statusMessage, setStatusMessage] = useState("");
+  const [questionErrors, setQuestionErrors] = useState({}); // questionId -> messages from the last rejected save
+
+  /**
+   * Loads the list of saved (non-archived) surveys
+   */
+  const loadSurveys = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/surveys`);
+      if (!response.ok) throw new Error(`GET /surveys failed with status ${response.status}`);
+      setSurveys(await response.json());
+    } catch (err) {
+      console.error("Error loading surveys:", err);
+    }
+  };
+
+  useEffect(() => {
+    loadSurveys();
+  }, []);
+
+  /**
+   * Reopens a saved survey in the builder
+   * Saved questions keep their backend questionId so later saves update them in place
+   */
+  const openSurvey = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/surveys/${encodeURIComponent(id)}`);
+      if (!response.ok) throw new Error(`GET /surveys/${id} failed with status ${response.status}`);
+      const survey = await response.json();
+
+      const loaded = survey.questions.map(q => ({
+        id: q.questionId,
+        text: q.text,
+        type: q.type,
+        options: q.options,
+        required: q.required,
+        showIf: q.showIf || null,
+        scale: q.scale || null,
+        columns: q.columns || [],
+        bounds: q.bounds ? toBoundsForm(q.bounds) : null
+      }));
+
+      setSurveyId(survey.surveyId);
+      setSurveyTitle(survey.title);
+      setSurveyDescription(survey.description);
+      setQuestions(loaded);
+      setSavedSnapshot(snapshotOf(survey.title, survey.description, loaded));
+      setQuestionErrors({});
+      setStatusMessage("");
+    } catch (err) {
+      console.error("Error opening survey:", err);
+      setStatusMessage("Unable to open that survey.");
+    }
+  };
+
+  /**
+   * Clears the builder to start a new survey
+   */
+  const newSurvey = () => {
+    setSurveyId(null);
+    setSurveyTitle("Untitled Survey");
+    setSurveyDescription("");
+    setQuestions([]);
+    setSavedSnapshot({ questions: {}, title: "", description: "" });
+    setQuestionErrors({});
+    setStatusMessage("");
+  };
+
+  /**
+   * Archives a survey — it disappears from the list and stops accepting responses
+   */
+  const archiveSurvey = async (id) => {
+    if (!window.confirm("Archive this survey? It will stop accepting responses.")) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/surveys/${encodeURIComponent(id)}`, { method: "DELETE" });
+      if (!response.ok) throw new Error(`DELETE /surveys/${id} failed with status ${response.status}`);
+      if (id === surveyId) newSurvey();
+      await loadSurveys();
+    } catch (err) {
+      console.error("Error archiving survey:", err);
+      setStatusMessage("Unable to archive that survey.");
+    }
+  };
+
   /**
    * Adds a blank new question to the list with default type "short-answer"
-   * Each question gets a unique ID based on timestamp
+   * Each question gets a UUID up front; it becomes the stored questionId, so it never changes after saving
    */
   const addQuestion = () => {
     setQuestions([...questions, {
-      id: Date.now(),
+      id: crypto.randomUUID(),
       text: "",
       type: "short-answer",
       options: [],
-      required: false
+      required: false,
+      showIf: null,
+      scale: null,
+      columns: [],
+      bounds: null
     }]);
   };
 
   /**
    * Removes a question by its unique ID
+   * Show-if rules that depended on it are cleared, so those questions become always visible
    */
   const removeQuestion = (id) => {
-    setQuestions(questions.filter(q => q.id !== id));
+    setQuestions(questions
+      .filter(q => q.id !== id)
+      .map(q => (q.showIf?.questionId === id ? { ...q, showIf: null } : q)));
   };
 
   /**
@@ -50,8 +183,8 @@ const SurveyBuilder = () => {
   };
 
   /**
-   * Changes the type of a question and initializes options for list-based types
-   * If switching to MCQ/checkbox/dropdown, create at least one default option
+   * Changes the type of a question and initializes the settings that type needs
+   * List-based types get default options (statements for a matrix); scales, columns and bounds get defaults
    */
   const handleTypeChange = (id, type) => {
     setQuestions(questions.map(q => {
@@ -59,14 +192,56 @@ const SurveyBuilder = () => {
         return {
           ...q,
           type,
-          options: (type === 'multiple-choice' || type === 'checkbox' || type === 'dropdown')
-            ? ["Option 1"] : []
+          options: DEFAULT_OPTIONS[type] || [],
+          scale: type === 'linear-scale' ? DEFAULT_SCALE : type === 'slider' ? DEFAULT_SLIDER_SCALE : null,
+          columns: type === 'matrix' ? DEFAULT_MATRIX_COLUMNS : [],
+          bounds: type === 'number' ? DEFAULT_BOUNDS : null
         };
       }
       return q;
     }));
   };
 
+  /**
+   * Updates a number question's min, max or whole-number setting
+   */
+  const handleBoundsChange = (id, field, value) => {
+    setQuestions(questions.map(q =>
+      q.id === id ? { ...q, bounds: { ...(q.bounds || DEFAULT_BOUNDS), [field]: value } } : q
+    ));
+  };
+
+  /**
+   * Edits, adds or removes one of a matrix question's choice columns
+   */
+  const handleColumnChange = (id, columnIndex, text) => {
+    setQuestions(questions.map(q =>
+      q.id === id ? { ...q, columns: q.columns.map((c, i) => (i === columnIndex ? text : c)) } : q
+    ));
+  };
+
+  const addColumn = (id) => {
+    setQuestions(questions.map(q =>
+      q.id === id ? { ...q, columns: [...q.columns, `Choice ${q.columns.length + 1}`] } : q
+    ));
+  };
+
+  const removeColumn = (id, columnIndex) => {
+    setQuestions(questions.map(q =>
+      q.id === id ? { ...q, columns: q.columns.filter((_, i) => i !== columnIndex) } : q
+    ));
+  };
+
+  /**
+   * Updates one field of a linear-scale or slider question's range or labels
+   * Number fields are kept as typed (strings) while editing and converted on save
+   */
+  const handleScaleChange = (id, field, value) => {
+    setQuestions(questions.map(q =>
+      q.id === id ? { ...q, scale: { ...(q.scale || DEFAULT_SCALE), [field]: value } } : q
+    ));
+  };
+
   /**
    * Handles updates to individual options inside list-based questions
    */
@@ -84,7 +259,7 @@ const SurveyBuilder = () => {
   const addOption = (questionId) => {
     setQuestions(questions.map(q =>
       q.id === questionId
-        ? { ...q, options: [...q.options, `Option ${q.options.length + 1}`] }
+        ? { ...q, options: [...q.options, `${q.type === 'matrix' ? 'Statement' : 'Option'} ${q.options.length + 1}`] }
         : q
     ));
   };
@@ -100,6 +275,50 @@ const SurveyBuilder = () => {
     ));
   };
 
+  /**
+   * Moves a question to a new position; the new order is saved with the next Save Survey
+   */
+  const moveQuestion = (id, toIndex) => {
+    const fromIndex = questions.findIndex(q => q.id === id);
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= questions.length) return;
+    setQuestions(moveItem(questions, fromIndex, toIndex));
+  };
+
+  /**
+   * Moves an option up or down inside a list-based question
+   */
+  const moveOption = (questionId, optionIndex, toIndex) => {
+    setQuestions(questions.map(q =>
+      q.id === questionId && toIndex >= 0 && toIndex < q.options.length
+        ? { ...q, options: moveItem(q.options, optionIndex, toIndex) }
+        : q
+    ));
+  };
+
+  /**
+   * Keyboard reordering on a card's drag handle: ArrowUp / ArrowDown move the question
+   */
+  const handleReorderKey = (e, id, index) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    moveQuestion(id, e.key === 'ArrowUp' ? index - 1 : index + 1);
+  };
+
+  /**
+   * Sets, changes or clears (changes = null) a question's show-if rule
+   * Picking a different source question resets the compared value
+   */
+  const updateShowIf = (id, changes) => {
+    setQuestions(questions.map(q => {
+      if (q.id !== id) return q;
+      if (!changes) return { ...q, showIf: null };
+      const next = { questionId: '', operator: 'equals', value: '', ...q.showIf, ...changes };
+      if (changes.questionId !== undefined && changes.questionId !== q.showIf?.questionId) next.value = '';
+      if (MULTI_VALUE_TYPES.includes(questions.find(x => x.id === next.questionId)?.type)) next.operator = 'answered';
+      return { ...q, showIf: next };
+    }));
+  };
+
   /**
    * Toggles the 'required' status for a given question
    */
@@ -110,36 +329,85 @@ const SurveyBuilder = () => {
   };
 
   /**
-   * saveSurvey — Serializes and POSTs the built survey to the backend
-   * Adjust this logic if your API evolves to accept different data formats
+   * Shows a 400 from the save endpoints ({ message, errors: [{ questionId, message }] }):
+   * each error next to its question card, errors for questions not in the builder in the status line
+   */
+  const showSaveErrors = (data) => {
+    const byQuestion = {};
+    const other = [];
+    (data.errors || []).forEach(({ questionId, message }) => {
+      if (questions.some(q => q.id === questionId)) byQuestion[questionId] = [...(byQuestion[questionId] || []), message];
+      else other.push(message);
+    });
+    setQuestionErrors(byQuestion);
+    setStatusMessage(
+      `${data.message || "Survey could not be saved"}${other.length ? `: ${other.join("; ")}` : ""}. ` +
+      "Fix the highlighted questions and save again."
+    );
+  };
+
+  /**
+   * saveSurvey — Saves the survey to the backend
+   * New surveys are created with all their questions in one POST.
+   * Reopened surveys are diffed against the last loaded/saved snapshot and only the changes are sent:
+   * created, updated (including reordered) and deleted questions go in one batch request.
    */
   const saveSurvey = async () => {
-    alert("Survey saved! (Mock Functionality)");
-    console.log({ surveyTitle, surveyDescription, questions });
+    try {
+      let savedId = surveyId;
 
-    const payload = {
-      surveyTitle,
-      surveyDescription,
-      questions
-    };
+      if (!savedId) {
+        const response = await fetch(`${API_BASE_URL}/questions`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            surveyTitle,
+            surveyDescription,
+            owner: user?.signInDetails?.loginId || user?.username || "",
+            questions: questions.map(toQuestionPayload)
+          }),
+        });
+        if (response.status === 400) return showSaveErrors(await response.json());
+        if (!response.ok) throw new Error(`POST /questions failed with status ${response.status}`);
+        savedId = (await response.json()).surveyId;
+        setStatusMessage(`Survey created. Participant link: ${window.location.origin}/survey?surveyId=${savedId}`);
+      } else {
+        const diff = diffQuestions(savedSnapshot.questions, questions);
+        const metaChanged = surveyTitle !== savedSnapshot.title || surveyDescription !== savedSnapshot.description;
 
-    try {
-      const API_URL = "https://tl2l68tv49.execute-api.us-east-2.amazonaws.com/questions";
+        if (metaChanged) {
+          const metaRes = await fetch(`${API_BASE_URL}/surveys/${encodeURIComponent(savedId)}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ title: surveyTitle, description: surveyDescription }),
+          });
+          if (!metaRes.ok) throw new Error(`PUT /surveys/${savedId} failed with status ${metaRes.status}`);
+        }
 
-      const response = await fetch(API_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+        if (diff.created.length || diff.updated.length || diff.deleted.length) {
+          const res = await fetch(`${API_BASE_URL}/surveys/${encodeURIComponent(savedId)}/questions/batch`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ created: diff.created, updated: diff.updated, deleted: diff.deleted }),
+          });
+          if (res.status === 400) return showSaveErrors(await res.json());
+          if (!res.ok) throw new Error(`POST /surveys/${savedId}/questions/batch failed with status ${res.status}`);
+        }
 
-      if (!response.ok) {
-        throw new Error(`POST /questions failed with status ${response.status}`);
+        setStatusMessage(
+          `Survey saved: ${diff.created.length} added, ${diff.updated.length - diff.reordered} edited, ` +
+          `${diff.reordered} moved, ${diff.deleted.length} removed. ` +
+          `Participant link: ${window.location.origin}/survey?surveyId=${savedId}`
+        );
       }
 
-      const result = await response.json();
-      console.log("Survey saved to backend:", result);
+      setSurveyId(savedId);
+      setSavedSnapshot(snapshotOf(surveyTitle, surveyDescription, questions));
+      setQuestionErrors({});
+      await loadSurveys();
     } catch (err) {
       console.error("Error saving survey to backend:", err);
+      setStatusMessage("Error saving survey. Please try again.");
     }
   };
 
@@ -151,11 +419,72 @@ const SurveyBuilder = () => {
     boxSizing: 'border-box'
   };
 
+  /**
+   * Input for the value a show-if rule compares against: a dropdown of the source
+   * question's options (or scale points) where it has them, free text otherwise
+   */
+  const renderShowIfValue = (q) => {
+    const source = questions.find(x => x.id === q.showIf.questionId);
+    const choices = source?.type === 'linear-scale'
+      ? scalePoints(toScalePayload(source.scale)).map(String)
+      : (source?.options || []);
+
+    if (!choices.length) {
+      return (
+        <input
+          type="text"
+          placeholder="Answer"
+          value={q.showIf.value}
+          onChange={(e) => updateShowIf(q.id, { value: e.target.value })}
+        />
+      );
+    }
+    return (
+      <select
+        value={q.showIf.value}
+        onChange={(e) => updateShowIf(q.id, { value: e.target.value })}
+      >
+        <option value="">Select answer…</option>
+        {choices.map((choice, i) => <option key={i} value={choice}>{choice}</option>)}
+      </select>
+    );
+  };
+
   // === Main Component JSX ===
   return (
     <div className="container">
       <h2>Survey Builder</h2>
 
+      {/* === Saved Surveys === */}
+      <div style={{ marginBottom: '1.5rem' }}>
+        <h3>Saved Surveys</h3>
+        {surveys.length === 0 && <p>No saved surveys yet.</p>}
+        {surveys.map(sv => (
+          <div key={sv.surveyId} style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            padding: '0.5rem 0',
+            borderBottom: '1px solid #eee',
+            fontWeight: sv.surveyId === surveyId ? 'bold' : 'normal'
+          }}>
+            <span>
+              {sv.title}
+              <span style={{ color: '#666', fontSize: '0.85rem' }}>
+                {' '}— {sv.owner || 'unknown owner'}, updated {sv.updatedAt ? new Date(sv.updatedAt).toLocaleString() : 'n/a'}
+              </span>
+            </span>
+            <span style={{ display: 'flex', gap: '0.5rem' }}>
+              <button onClick={() => openSurvey(sv.surveyId)}>✏️ Open</button>
+              <button onClick={() => archiveSurvey(sv.surveyId)}>🗄️ Archive</button>
+            </span>
+          </div>
+        ))}
+        <button onClick={newSurvey} style={{ marginTop: '0.75rem' }}>🆕 New Survey</button>
+      </div>
+
+      {statusMessage && <p>{statusMessage}</p>}
+
       {/* === Survey Metadata Inputs === */}
       <input
         type="text"
@@ -173,12 +502,42 @@ const SurveyBuilder = () => {
 
       {/* === Render Each Question Card === */}
       {questions.map((q, index) => (
-        <div key={q.id} style={{
-          marginBottom: '1rem',
-          padding: '1rem',
-          border: '1px solid #ccc'
-        }}>
-          <span style={{ fontWeight: 'bold' }}>Q{index + 1}:</span>
+        <div
+          key={q.id}
+          draggable
+          onDragStart={() => setDraggedId(q.id)}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => {
+            e.preventDefault();
+            if (draggedId) moveQuestion(draggedId, index);
+            setDraggedId(null);
+          }}
+          onDragEnd={() => setDraggedId(null)}
+          style={{
+            marginBottom: '1rem',
+            padding: '1rem',
+            border: `1px solid ${questionErrors[q.id] ? 'red' : '#ccc'}`,
+            opacity: draggedId === q.id ? 0.5 : 1
+          }}
+        >
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            {/* Drag handle — also focusable so questions can be moved with the arrow keys */}
+            <button
+              type="button"
+              aria-label={`Reorder question ${index + 1}. Use the up and down arrow keys to move it.`}
+              title="Drag, or focus and use ↑/↓ to move"
+              onKeyDown={(e) => handleReorderKey(e, q.id, index)}
+              style={{ cursor: 'grab' }}
+            >
+              ⠿
+            </button>
+            <span style={{ fontWeight: 'bold' }}>Q{index + 1}:</span>
+            <button onClick={() => moveQuestion(q.id, index - 1)} disabled={index === 0}>⬆️</button>
+            <button onClick={() => moveQuestion(q.id, index + 1)} disabled={index === questions.length - 1}>⬇️</button>
+          </div>
+          {(questionErrors[q.id] || []).map((message, i) => (
+            <p key={i} style={{ color: 'red', margin: '0.5rem 0 0' }}>{message}</p>
+          ))}
 
           {/* Question Text Input */}
           <input
@@ -201,11 +560,17 @@ const SurveyBuilder = () => {
             <option value="checkbox">Checkboxes</option>
             <option value="dropdown">Dropdown</option>
             <option value="linear-scale">Linear Scale</option>
+            <option value="matrix">Likert Matrix</option>
+            <option value="ranking">Ranking</option>
+            <option value="number">Number</option>
+            <option value="date">Date</option>
+            <option value="slider">Slider</option>
           </select>
 
-          {/* Dynamic Option Management */}
-          {(q.type === "multiple-choice" || q.type === "checkbox" || q.type === "dropdown") && (
+          {/* Dynamic Option Management — a matrix's options are its statements (rows) */}
+          {DEFAULT_OPTIONS[q.type] && (
             <div style={{ margin: '0.75rem 0' }}>
+              {q.type === "matrix" && <strong>Statements</strong>}
               {q.options.map((option, i) => (
                 <div key={i} style={{
                   marginBottom: '0.5rem',
@@ -218,13 +583,135 @@ const SurveyBuilder = () => {
                     onChange={(e) => handleOptionChange(q.id, i, e.target.value)}
                     style={inputStyle}
                   />
+                  <button onClick={() => moveOption(q.id, i, i - 1)} disabled={i === 0}>⬆️</button>
+                  <button onClick={() => moveOption(q.id, i, i + 1)} disabled={i === q.options.length - 1}>⬇️</button>
                   <button onClick={() => removeOption(q.id, i)}>❌</button>
                 </div>
               ))}
-              <button onClick={() => addOption(q.id)}>➕ Add Option</button>
+              <button onClick={() => addOption(q.id)}>
+                {q.type === "matrix" ? "➕ Add Statement" : "➕ Add Option"}
+              </button>
+            </div>
+          )}
+
+          {/* Matrix Choice Columns — the scale every statement is rated on */}
+          {q.type === "matrix" && (
+            <div style={{ margin: '0.75rem 0' }}>
+              <strong>Choices</strong>
+              {q.columns.map((column, i) => (
+                <div key={i} style={{ marginBottom: '0.5rem', display: 'flex', gap: '0.5rem' }}>
+                  <input
+                    type="text"
+                    value={column}
+                    onChange={(e) => handleColumnChange(q.id, i, e.target.value)}
+                    style={inputStyle}
+                  />
+                  <button onClick={() => removeColumn(q.id, i)}>❌</button>
+                </div>
+              ))}
+              <button onClick={() => addColumn(q.id)}>➕ Add Choice</button>
+            </div>
+          )}
+
+          {/* Number Bounds */}
+          {q.type === "number" && (
+            <div style={{ margin: '0.75rem 0', display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+              {[['min', 'Min'], ['max', 'Max']].map(([field, label]) => (
+                <label key={field}>
+                  {label}{' '}
+                  <input
+                    type="number"
+                    step="any"
+                    placeholder="None"
+                    value={(q.bounds || DEFAULT_BOUNDS)[field]}
+                    onChange={(e) => handleBoundsChange(q.id, field, e.target.value)}
+                    style={{ width: '6rem' }}
+                  />
+                </label>
+              ))}
+              <label>
+                Whole numbers only
+                <input
+                  type="checkbox"
+                  checked={(q.bounds || DEFAULT_BOUNDS).integer}
+                  onChange={(e) => handleBoundsChange(q.id, 'integer', e.target.checked)}
+                  style={{ marginLeft: '0.5rem' }}
+                />
+              </label>
             </div>
           )}
 
+          {/* Linear Scale / Slider Range and Labels */}
+          {(q.type === "linear-scale" || q.type === "slider") && (
+            <div style={{ margin: '0.75rem 0', display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+              {[['min', 'Min'], ['max', 'Max'], ['step', 'Step']].map(([field, label]) => (
+                <label key={field}>
+                  {label}{' '}
+                  <input
+                    type="number"
+                    step="any"
+                    value={(q.scale || DEFAULT_SCALE)[field]}
+                    onChange={(e) => handleScaleChange(q.id, field, e.target.value)}
+                    style={{ width: '5rem' }}
+                  />
+                </label>
+              ))}
+              <input
+                type="text"
+                placeholder="Label for min (e.g. Not at all trustworthy)"
+                value={(q.scale || DEFAULT_SCALE).minLabel}
+                onChange={(e) => handleScaleChange(q.id, 'minLabel', e.target.value)}
+                style={inputStyle}
+              />
+              <input
+                type="text"
+                placeholder="Label for max (e.g. Completely trustworthy)"
+                value={(q.scale || DEFAULT_SCALE).maxLabel}
+                onChange={(e) => handleScaleChange(q.id, 'maxLabel', e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+          )}
+
+          {/* Show-if Rule — only earlier questions can be referenced, which also rules out cycles */}
+          <div style={{ margin: '0.5rem 0' }}>
+            {!q.showIf ? (
+              <button onClick={() => updateShowIf(q.id, {})} disabled={index === 0}>
+                🔀 Add show-if rule
+              </button>
+            ) : (
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                <span>Show only if</span>
+                <select
+                  value={q.showIf.questionId}
+                  onChange={(e) => updateShowIf(q.id, { questionId: e.target.value })}
+                >
+                  <option value="">Select question…</option>
+                  {questions.slice(0, index).map((source, i) => (
+                    <option key={source.id} value={source.id}>Q{i + 1}: {source.text || '(untitled)'}</option>
+                  ))}
+                </select>
+                <select
+                  value={q.showIf.operator}
+                  onChange={(e) => updateShowIf(q.id, { operator: e.target.value })}
+                >
+                  {!MULTI_VALUE_TYPES.includes(questions.find(x => x.id === q.showIf.questionId)?.type) && (
+                    <>
+                      <option value="equals">is</option>
+                      <option value="not-equals">is not</option>
+                    </>
+                  )}
+                  <option value="answered">is answered</option>
+                </select>
+                {q.showIf.operator !== 'answered' && renderShowIfValue(q)}
+                <button onClick={() => updateShowIf(q.id, null)}>❌ Remove rule</button>
+                {q.showIf.questionId && questions.findIndex(x => x.id === q.showIf.questionId) > index && (
+                  <span style={{ color: 'red' }}>This rule refers to a later question — move it above this one.</span>
+                )}
+              </div>
+            )}
+          </div>
+
           {/* Required Toggle + Delete Button */}
           <div style={{ marginTop: '0.5rem', display: 'flex', justifyContent: 'space-between' }}>
             <label>
@@ -250,4 +737,90 @@ const SurveyBuilder = () => {
   );
 };
 
+// === Save helpers ===
+
+/**
+ * Returns a copy of `list` with the item at `fromIndex` moved to `toIndex`
+ */
+const moveItem = (list, fromIndex, toIndex) => {
+  const next = [...list];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+};
+
+/**
+ * Shapes a builder question for the API; `order` is its position in the list
+ */
+const toQuestionPayload = (q, index) => ({
+  questionId: q.id,
+  text: q.text,
+  type: q.type,
+  required: q.required,
+  options: q.options,
+  order: index,
+  showIf: q.showIf && q.showIf.questionId ? q.showIf : null,
+  scale: q.type === 'linear-scale' || q.type === 'slider' ? toScalePayload(q.scale) : null,
+  columns: q.type === 'matrix' ? q.columns : [],
+  bounds: q.type === 'number' ? toBoundsPayload(q.bounds) : null
+});
+
+/**
+ * Number bounds: blank inputs become null (unbounded); the API's nulls become blank inputs
+ */
+const toBoundsPayload = (bounds) => {
+  const b = { ...DEFAULT_BOUNDS, ...(bounds || {}) };
+  const toBound = (v) => (v === '' || v === null ? null : Number(v));
+  return { min: toBound(b.min), max: toBound(b.max), integer: !!b.integer };
+};
+
+const toBoundsForm = (bounds) => ({
+  min: bounds.min ?? '',
+  max: bounds.max ?? '',
+  integer: !!bounds.integer
+});
+
+/**
+ * Converts the builder's scale fields (typed as strings while editing) to numbers
+ */
+const toScalePayload = (scale) => {
+  const s = { ...DEFAULT_SCALE, ...(scale || {}) };
+  return { min: Number(s.min), max: Number(s.max), step: Number(s.step), minLabel: s.minLabel, maxLabel: s.maxLabel };
+};
+
+/**
+ * Records what was last saved so the next save can send only the differences
+ */
+const snapshotOf = (title, description, questions) => ({
+  title,
+  description,
+  questions: Object.fromEntries(questions.map((q, i) => [q.id, JSON.stringify(toQuestionPayload(q, i))]))
+});
+
+/**
+ * Compares the current questions to the saved snapshot
+ * `reordered` counts updated questions whose only change is their position
+ */
+const diffQuestions = (savedQuestions, questions) => {
+  const created = [];
+  const updated = [];
+  let reordered = 0;
+
+  questions.forEach((q, i) => {
+    const payload = toQuestionPayload(q, i);
+    const before = savedQuestions[q.id];
+    if (!before) {
+      created.push(payload);
+    } else if (before !== JSON.stringify(payload)) {
+      updated.push(payload);
+      if (JSON.stringify({ ...JSON.parse(before), order: i }) === JSON.stringify(payload)) reordered++;
+    }
+  });
+
+  const currentIds = new Set(questions.map(q => q.id));
+  const deleted = Object.keys(savedQuestions).filter(id => !currentIds.has(id));
+
+  return { created, updated, deleted, reordered };
+};
+
 export default SurveyBuilder;
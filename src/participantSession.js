@@ -0,0 +1,14 @@
+// Participant session ID shared by SimulatedAIPage and the pre/post questionnaires (Survey).
+// Every rating and questionnaire answer is stored against this ID so they can be joined per participant.
+// Kept in sessionStorage so a page reload continues the same session.
+
+const SESSION_STORAGE_KEY = 'participantSessionId';
+
+export const getParticipantSessionId = () => {
+  let id = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, id);
+  }
+  return id;
+};
@@ -0,0 +1,19 @@
+// POST with retries for network errors and 5xx responses.
+// Callers put an idempotencyKey in the body, so a retried request is recognised server-side and not double counted.
+// 4xx responses are returned straight away — repeating them would not change the answer.
+
+export const postWithRetry = async (url, body, attempts = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (res.status < 500 || attempt >= attempts) return res;
+    } catch (err) {
+      if (attempt >= attempts) throw err;
+    }
+    await new Promise(r => setTimeout(r, 500 * attempt));
+  }
+};
@@ -0,0 +1,49 @@
+import { postWithRetry } from './postWithRetry';
+
+const reply = (status) => ({ status, ok: status < 400 });
+
+describe('postWithRetry', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    // Skip the backoff waits between attempts
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback) => callback());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('retries 5xx responses and network errors with the same body, so the idempotencyKey is reused', async () => {
+    fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(reply(503))
+      .mockResolvedValueOnce(reply(200));
+    const body = { questionId: 'q1', idempotencyKey: 'key-1' };
+
+    const res = await postWithRetry('/rate', body);
+
+    expect(res.status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(3);
+    const bodies = fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+    expect(bodies).toEqual([body, body, body]);
+  });
+
+  test('returns 4xx responses without retrying', async () => {
+    fetch.mockResolvedValue(reply(409));
+    const res = await postWithRetry('/rate', {});
+    expect(res.status).toBe(409);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the last attempt', async () => {
+    fetch.mockResolvedValue(reply(500));
+    const res = await postWithRetry('/rate', {}, 2);
+    expect(res.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.mockReset();
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(postWithRetry('/rate', {}, 2)).rejects.toThrow('Failed to fetch');
+  });
+});
@@ -0,0 +1,47 @@
+// Show-if and scale rules shared by the survey page and QuestionManagementLambda, which requires this file directly.
+// CommonJS so the Lambda can load it without a build step; the page imports it like any other module.
+
+const isEmptyAnswer = (value) => {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return typeof value === 'string' && !value.trim();
+};
+
+// A question may carry showIf: { questionId, operator, value } — it is only shown when the referenced
+// question is itself shown and its answer satisfies the rule. byId maps questionId -> question.
+//   equals      — answer equals value (for checkboxes: value is one of the ticked options)
+//   not-equals  — answered, and the answer does not equal value
+//   answered    — any non-empty answer
+const isQuestionVisible = (q, answers, byId, seen = new Set()) => {
+  if (!q.showIf) return true;
+  const source = byId.get(q.showIf.questionId);
+  // Rules are validated on save; a broken or cyclic reference hides the question rather than looping
+  if (!source || seen.has(q.questionId)) return false;
+  seen.add(q.questionId);
+  if (!isQuestionVisible(source, answers, byId, seen)) return false;
+
+  const answer = answers[source.questionId];
+  if (isEmptyAnswer(answer)) return false;
+  const matches = Array.isArray(answer)
+    ? answer.map(String).includes(String(q.showIf.value))
+    : String(answer) === String(q.showIf.value);
+
+  switch (q.showIf.operator) {
+    case 'answered': return true;
+    case 'not-equals': return !matches;
+    case 'equals':
+    default: return matches;
+  }
+};
+
+// Every selectable value of a scale, e.g. { min: 0, max: 10, step: 2 } -> [0, 2, 4, 6, 8, 10]
+// Rounded so fractional steps such as 0.5 compare exactly with submitted answers.
+// Linear scales saved before ranges were configurable have no scale and use 1–5.
+const scalePoints = ({ min = 1, max = 5, step = 1 } = {}) => {
+  if (!(step > 0) || !(max > min)) return [];
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => Number((min + i * step).toFixed(6)));
+};
+
+module.exports = { isEmptyAnswer, isQuestionVisible, scalePoints };
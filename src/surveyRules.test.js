@@ -0,0 +1,26 @@
+import { isEmptyAnswer, scalePoints } from './surveyRules';
+
+describe('scalePoints', () => {
+  test('lists every value from min to max, including fractional steps', () => {
+    expect(scalePoints({ min: 0, max: 10, step: 2 })).toEqual([0, 2, 4, 6, 8, 10]);
+    expect(scalePoints({ min: 1, max: 2, step: 0.1 })).toHaveLength(11);
+    expect(scalePoints({ min: 1, max: 2, step: 0.1 })[3]).toBe(1.3);
+  });
+
+  test('uses 1–5 for linear scales saved without a range', () => {
+    expect(scalePoints(undefined)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('returns no points for a range being edited into shape', () => {
+    expect(scalePoints({ min: 5, max: 1, step: 1 })).toEqual([]);
+    expect(scalePoints({ min: 1, max: 5, step: 0 })).toEqual([]);
+    expect(scalePoints({ min: NaN, max: 5, step: 1 })).toEqual([]);
+  });
+});
+
+describe('isEmptyAnswer', () => {
+  test('treats blank text, empty lists and empty matrix answers as unanswered', () => {
+    expect(['', '  ', null, undefined, [], {}].every(isEmptyAnswer)).toBe(true);
+    expect([0, 'No', ['a'], { row: 'Agree' }].some(isEmptyAnswer)).toBe(false);
+  });
+});